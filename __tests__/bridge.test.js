@@ -0,0 +1,468 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { MessageChannel, Worker } from 'node:worker_threads';
+import { pathToFileURL } from 'node:url';
+import {
+  createBridge,
+  createNexusHub,
+  NexusAbortError,
+  NexusTimeoutError,
+  NexusValidationError,
+} from '../src/index.js';
+
+const EVENTS = ['theme:change', 'cart:add', 'local:only'];
+
+// Node ports deliver messages on a later turn of the event loop
+const flush = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+describe('Bridges (createBridge)', () => {
+  let port1;
+  let port2;
+  let left;
+  let right;
+  let bridges;
+
+  beforeEach(() => {
+    ({ port1, port2 } = new MessageChannel());
+    left = createNexusHub(EVENTS);
+    right = createNexusHub(EVENTS);
+    bridges = [];
+  });
+
+  afterEach(() => {
+    bridges.forEach((bridge) => bridge.close());
+    port1.close();
+    port2.close();
+  });
+
+  const link = (options = {}) => {
+    const events = ['theme:change', 'cart:add'];
+    bridges.push(createBridge(left, port1, { events, ...options }), createBridge(right, port2, { events, ...options }));
+  };
+
+  test('forwards emissions to the hub on the other side', async () => {
+    link();
+    const waiting = right.waitFor('theme:change');
+
+    left.emit('theme:change', { mode: 'dark' });
+
+    await expect(waiting).resolves.toEqual({ mode: 'dark' });
+  });
+
+  test('forwards in both directions without echoing events back', async () => {
+    link();
+    const onLeft = jest.fn();
+    const onRight = jest.fn();
+    left.on('cart:add', 'left', onLeft);
+    right.on('cart:add', 'right', onRight);
+
+    left.emit('cart:add', 1);
+    await flush();
+    right.emit('cart:add', 2);
+    await flush();
+
+    expect(onLeft.mock.calls.map(([data]) => data)).toEqual([1, 2]);
+    expect(onRight.mock.calls.map(([data]) => data)).toEqual([1, 2]);
+  });
+
+  test.each(['microtask', 'macrotask'])('does not echo events between hubs with %s dispatch', async (dispatch) => {
+    left = createNexusHub(EVENTS, { dispatch });
+    right = createNexusHub(EVENTS, { dispatch });
+    link();
+    const onLeft = jest.fn();
+    const onRight = jest.fn();
+    left.on('cart:add', 'left', onLeft);
+    right.on('cart:add', 'right', onRight);
+
+    left.emit('cart:add', 1);
+    await flush();
+    await flush();
+
+    expect(onLeft).toHaveBeenCalledTimes(1);
+    expect(onRight).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not echo events that middleware delivers later', async () => {
+    link();
+    right.use((eventName, data, next) => setTimeout(next, 0));
+    const onLeft = jest.fn();
+    left.on('cart:add', 'left', onLeft);
+
+    left.emit('cart:add', 1);
+    await flush();
+    await flush();
+
+    expect(onLeft).toHaveBeenCalledTimes(1);
+  });
+
+  test('forwards emissions that listeners make while handling a received event', async () => {
+    link();
+    right.on('cart:add', 'relay', (count) => {
+      if (count === 1) right.emit('cart:add', 10);
+    });
+    const onLeft = jest.fn();
+    left.on('cart:add', 'left', onLeft);
+
+    left.emit('cart:add', 1);
+    await flush();
+
+    expect(onLeft.mock.calls.map(([data]) => data)).toEqual([1, 10]);
+  });
+
+  test('only forwards and accepts whitelisted events', async () => {
+    bridges.push(
+      createBridge(left, port1, { events: ['theme:change', 'local:only'] }),
+      createBridge(right, port2, { events: ['theme:change'] })
+    );
+    const callback = jest.fn();
+    right.on('local:only', 'spy', callback);
+
+    left.emit('local:only', 'secret');
+    await flush();
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  test('ignores messages from other channels and unrelated senders', async () => {
+    bridges.push(createBridge(left, port1, { events: ['theme:change'], channel: 'a' }));
+    bridges.push(createBridge(right, port2, { events: ['theme:change'], channel: 'b' }));
+    const callback = jest.fn();
+    right.on('theme:change', 'spy', callback);
+
+    left.emit('theme:change', 'dark');
+    port1.postMessage({ eventName: 'theme:change', data: 'forged' });
+    await flush();
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  test('serializes and deserializes payloads', async () => {
+    const serialize = jest.fn((data) => ({ json: JSON.stringify(data) }));
+    link({ serialize, deserialize: (data) => JSON.parse(data.json) });
+    const waiting = right.waitFor('cart:add');
+
+    left.emit('cart:add', { id: 1 });
+
+    await expect(waiting).resolves.toEqual({ id: 1 });
+    expect(serialize).toHaveBeenCalledWith({ id: 1 }, 'cart:add');
+  });
+
+  test('reports payloads that cannot be cloned', () => {
+    link();
+    const onError = jest.fn();
+    left.onError('reporter', onError);
+
+    left.emit('cart:add', { callback: () => {} });
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].error.message).toMatch(
+      'Payload of event "cart:add" cannot be sent across the bridge'
+    );
+  });
+
+  test('does not send payloads retained before the bridge existed', async () => {
+    left = createNexusHub(EVENTS, { retain: { 'theme:change': true } });
+    left.emit('theme:change', 'dark');
+    link();
+    const callback = jest.fn();
+    right.on('theme:change', 'spy', callback);
+
+    await flush();
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  test('close stops forwarding and removes its listeners', async () => {
+    link();
+    const callback = jest.fn();
+    right.on('theme:change', 'spy', callback);
+
+    bridges.forEach((bridge) => bridge.close());
+    left.emit('theme:change', 'dark');
+    await flush();
+
+    expect(callback).not.toHaveBeenCalled();
+    expect(left.emit('cart:add')).toBe(false);
+  });
+
+  test('keeps forwarding after off and clear on the bridged hub', async () => {
+    link();
+    const callback = jest.fn();
+    right.on('theme:change', 'spy', callback);
+
+    left.off('theme:change');
+    left.clear();
+    left.emit('theme:change', 'dark');
+    await flush();
+
+    expect(callback).toHaveBeenCalledWith('dark', expect.anything());
+  });
+
+  test('passes errors thrown while emitting received events to onError', async () => {
+    right = createNexusHub({ 'theme:change': 'string', 'cart:add': null, 'local:only': null });
+    const onError = jest.fn();
+    link({ onError });
+
+    left.emit('theme:change', 42);
+    await flush();
+
+    expect(onError).toHaveBeenCalledWith(expect.any(NexusValidationError), 'theme:change');
+  });
+
+  test('logs errors thrown while emitting received events by default', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    right = createNexusHub(EVENTS, { errorPolicy: 'fail-fast' });
+    right.on('cart:add', 'broken', () => {
+      throw new Error('boom');
+    });
+    link();
+
+    left.emit('cart:add', 1);
+    await flush();
+
+    expect(consoleError).toHaveBeenCalledWith(
+      'Error emitting event "cart:add" received over the bridge:',
+      expect.objectContaining({ message: expect.stringContaining('boom') })
+    );
+    consoleError.mockRestore();
+  });
+
+  test('validates its arguments', () => {
+    expect(() => createBridge({}, port1, { events: ['theme:change'] })).toThrow(
+      'Bridge requires a hub created with createNexusHub'
+    );
+    expect(() => createBridge(left, {}, { events: ['theme:change'] })).toThrow(
+      'Bridge target must support postMessage and addEventListener'
+    );
+    expect(() => createBridge(left, port1, { events: [] })).toThrow('Bridge events must be a non-empty array');
+    expect(() => createBridge(left, port1, { events: ['invalid'] })).toThrow('Event "invalid" is not registered');
+    expect(() => createBridge(left, port1, { events: ['cart:add'], serialize: 1 })).toThrow(
+      'serialize and deserialize must be functions'
+    );
+    expect(() => createBridge(left, port1, { events: ['cart:add'], onError: true })).toThrow(
+      'onError must be a function'
+    );
+    expect(left.emit('cart:add')).toBe(false);
+  });
+
+  describe('requests', () => {
+    let leftBridge;
+    let rightBridge;
+
+    beforeEach(() => {
+      link();
+      [leftBridge, rightBridge] = bridges;
+    });
+
+    test('resolves with the return value of the handler on the other side', async () => {
+      rightBridge.handle('cart:add', async (item) => ({ added: item.id }));
+
+      await expect(leftBridge.request('cart:add', { id: 3 })).resolves.toEqual({ added: 3 });
+    });
+
+    test('requests do not emit the event on either hub', async () => {
+      const onLeft = jest.fn();
+      const onRight = jest.fn();
+      left.on('cart:add', 'left', onLeft);
+      right.on('cart:add', 'right', onRight);
+      rightBridge.handle('cart:add', () => 'ok');
+
+      await leftBridge.request('cart:add', 1);
+      expect(onLeft).not.toHaveBeenCalled();
+      expect(onRight).not.toHaveBeenCalled();
+    });
+
+    test('rejects with the error thrown by the handler', async () => {
+      rightBridge.handle('cart:add', () => {
+        throw new RangeError('out of stock');
+      });
+
+      const request = leftBridge.request('cart:add', 1);
+      await expect(request).rejects.toThrow('out of stock');
+      await expect(request).rejects.toMatchObject({ name: 'RangeError' });
+    });
+
+    test('rejects when the other side has no handler', async () => {
+      await expect(leftBridge.request('cart:add', 1)).rejects.toThrow(
+        'No handler for event "cart:add" on the other side of the bridge'
+      );
+    });
+
+    test('allows one handler per event', () => {
+      rightBridge.handle('cart:add', () => {});
+      expect(() => rightBridge.handle('cart:add', () => {})).toThrow(
+        'A handler for event "cart:add" is already registered on this bridge'
+      );
+
+      rightBridge.unhandle('cart:add');
+      expect(() => rightBridge.handle('cart:add', () => {})).not.toThrow();
+    });
+
+    test('rejects with NexusTimeoutError when no response arrives in time', async () => {
+      rightBridge.handle('cart:add', () => new Promise(() => {}));
+
+      const request = leftBridge.request('cart:add', 1, { timeout: 20 });
+      await expect(request).rejects.toThrow(NexusTimeoutError);
+      await expect(request).rejects.toThrow('Request for event "cart:add" timed out after 20ms');
+    });
+
+    test('rejects with NexusAbortError when the signal aborts', async () => {
+      rightBridge.handle('cart:add', () => new Promise(() => {}));
+      const controller = new AbortController();
+
+      const request = leftBridge.request('cart:add', 1, { signal: controller.signal });
+      controller.abort();
+      await expect(request).rejects.toThrow(NexusAbortError);
+      await expect(leftBridge.request('cart:add', 1, { signal: controller.signal })).rejects.toThrow(NexusAbortError);
+    });
+
+    test('closing rejects pending requests', async () => {
+      rightBridge.handle('cart:add', () => new Promise(() => {}));
+
+      const request = leftBridge.request('cart:add', 1);
+      leftBridge.close();
+      await expect(request).rejects.toThrow('Bridge was closed before event "cart:add" got a response');
+      await expect(leftBridge.request('cart:add', 1)).rejects.toThrow('Bridge is closed');
+    });
+
+    test('only bridged events can be requested or handled', () => {
+      expect(() => leftBridge.request('local:only')).toThrow('Event "local:only" is not bridged');
+      expect(() => rightBridge.handle('local:only', () => {})).toThrow('Event "local:only" is not bridged');
+      expect(() => rightBridge.handle('cart:add', 'x')).toThrow('Handler must be a function');
+      expect(() => leftBridge.request('cart:add', 1, { timeout: -1 })).toThrow('Timeout must be a positive number');
+    });
+  });
+
+  describe('worker_threads', () => {
+    const hubUrl = pathToFileURL(require.resolve('../src/index.js')).href;
+
+    // Worker side: parses files on request and announces progress as an event
+    const workerSource = `
+      const { parentPort } = require('node:worker_threads');
+      import(${JSON.stringify(hubUrl)}).then(({ createBridge, createNexusHub }) => {
+        const hub = createNexusHub(['parse:file', 'parse:progress']);
+        const bridge = createBridge(hub, parentPort, { events: ['parse:file', 'parse:progress'] });
+        bridge.handle('parse:file', (text) => {
+          hub.emit('parse:progress', 100);
+          return JSON.parse(text);
+        });
+        parentPort.postMessage('ready');
+      });
+    `;
+
+    test('shares events and answers requests across the thread boundary', async () => {
+      const worker = new Worker(workerSource, { eval: true });
+      try {
+        await new Promise((resolve, reject) => {
+          worker.once('message', resolve);
+          worker.once('error', reject);
+        });
+
+        const hub = createNexusHub(['parse:file', 'parse:progress']);
+        const bridge = createBridge(hub, worker, { events: ['parse:file', 'parse:progress'] });
+        const progress = hub.waitFor('parse:progress');
+
+        await expect(bridge.request('parse:file', '{"rows":[1,2]}', { timeout: 5000 })).resolves.toEqual({
+          rows: [1, 2],
+        });
+        await expect(progress).resolves.toBe(100);
+        bridge.close();
+      } finally {
+        await worker.terminate();
+      }
+    });
+  });
+
+  describe('windows', () => {
+    let frame;
+
+    beforeEach(() => {
+      frame = document.createElement('iframe');
+      document.body.appendChild(frame);
+    });
+
+    afterEach(() => {
+      frame.remove();
+    });
+
+    const receive = (data, origin, source = frame.contentWindow) => {
+      window.dispatchEvent(new MessageEvent('message', { data, origin, source }));
+    };
+
+    // Stands in for a cross-origin window, which throws on reading anything but a few properties
+    const crossOrigin = (target) => {
+      const proxy = new Proxy(target, {
+        get(object, key) {
+          if (key === 'window') return proxy;
+          if (key === 'postMessage') return (...args) => object.postMessage(...args);
+          throw new DOMException(`Blocked reading "${String(key)}" from a cross-origin frame`, 'SecurityError');
+        },
+      });
+      return proxy;
+    };
+
+    test('only reads window and postMessage from a cross-origin window', () => {
+      const postMessage = jest.spyOn(frame.contentWindow, 'postMessage').mockImplementation(() => {});
+      const target = crossOrigin(frame.contentWindow);
+      bridges.push(createBridge(left, target, { events: ['theme:change'], origin: 'https://app.test' }));
+      const callback = jest.fn();
+      left.on('theme:change', 'spy', callback);
+
+      left.emit('theme:change', 'dark');
+      expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({ data: 'dark' }), 'https://app.test');
+
+      const message = { protocol: '@vorthain/nexus', channel: 'default', type: 'event', eventName: 'theme:change' };
+      // A MessageEvent would check its source, so the proxy is attached to a plain event
+      const event = new Event('message');
+      Object.defineProperties(event, {
+        data: { value: { ...message, data: 'light' } },
+        origin: { value: 'https://app.test' },
+        source: { value: target },
+      });
+      window.dispatchEvent(event);
+      expect(callback).toHaveBeenLastCalledWith('light', expect.anything());
+    });
+
+    test('requires an origin', () => {
+      expect(() => createBridge(left, frame.contentWindow, { events: ['theme:change'] })).toThrow(
+        'An origin is required to bridge to a window'
+      );
+    });
+
+    test('posts to the target origin only', () => {
+      const postMessage = jest.spyOn(frame.contentWindow, 'postMessage').mockImplementation(() => {});
+      bridges.push(createBridge(left, frame.contentWindow, { events: ['theme:change'], origin: 'https://app.test' }));
+
+      left.emit('theme:change', 'dark');
+
+      expect(postMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ eventName: 'theme:change', data: 'dark' }),
+        'https://app.test'
+      );
+    });
+
+    test('accepts messages from the target window and origin only', () => {
+      const postMessage = jest.spyOn(frame.contentWindow, 'postMessage').mockImplementation(() => {});
+      bridges.push(createBridge(left, frame.contentWindow, { events: ['theme:change'], origin: 'https://app.test' }));
+      const callback = jest.fn();
+      left.on('theme:change', 'spy', callback);
+      const message = {
+        protocol: '@vorthain/nexus',
+        channel: 'default',
+        type: 'event',
+        eventName: 'theme:change',
+        data: 'dark',
+      };
+
+      receive(message, 'https://evil.test');
+      receive(message, 'https://app.test', window);
+      expect(callback).not.toHaveBeenCalled();
+
+      receive(message, 'https://app.test');
+      expect(callback).toHaveBeenCalledWith('dark', expect.anything());
+      // Received events are not posted back
+      expect(postMessage).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -2,7 +2,20 @@
  * @jest-environment jsdom
  */
 
-import { createNexusHub } from '../src/index.js';
+import {
+  combineLatest,
+  createLoggingMiddleware,
+  createNexusHub,
+  createValidationMiddleware,
+  filter,
+  map,
+  merge,
+  mergeHubs,
+  NexusAbortError,
+  NexusListenerError,
+  NexusTimeoutError,
+  NexusValidationError,
+} from '../src/index.js';
 
 describe('Nexus Event Hub', () => {
   describe('Module exports', () => {
@@ -84,8 +97,8 @@ describe('Nexus Event Hub', () => {
 
       hub.emit('click', 'test');
 
-      expect(callback1).toHaveBeenCalledWith('test');
-      expect(callback2).toHaveBeenCalledWith('test');
+      expect(callback1).toHaveBeenCalledWith('test', expect.objectContaining({ name: 'click' }));
+      expect(callback2).toHaveBeenCalledWith('test', expect.objectContaining({ name: 'click' }));
     });
 
     test('overwrites listener with same ID', () => {
@@ -125,7 +138,7 @@ describe('Nexus Event Hub', () => {
       hub.emit('click', 'third');
 
       expect(callback).toHaveBeenCalledTimes(1);
-      expect(callback).toHaveBeenCalledWith('first');
+      expect(callback).toHaveBeenCalledWith('first', expect.objectContaining({ name: 'click' }));
     });
 
     test('removes listener after execution', () => {
@@ -216,8 +229,8 @@ describe('Nexus Event Hub', () => {
       const hadListeners = hub.emit('click', { x: 10, y: 20 });
 
       expect(hadListeners).toBe(true);
-      expect(callback1).toHaveBeenCalledWith({ x: 10, y: 20 });
-      expect(callback2).toHaveBeenCalledWith({ x: 10, y: 20 });
+      expect(callback1).toHaveBeenCalledWith({ x: 10, y: 20 }, expect.objectContaining({ name: 'click' }));
+      expect(callback2).toHaveBeenCalledWith({ x: 10, y: 20 }, expect.objectContaining({ name: 'click' }));
     });
 
     test('returns false when no listeners', () => {
@@ -242,8 +255,8 @@ describe('Nexus Event Hub', () => {
       const hadListeners = hub.emit('error', 'data');
 
       expect(hadListeners).toBe(true);
-      expect(goodCallback).toHaveBeenCalledWith('data');
-      expect(badCallback).toHaveBeenCalledWith('data');
+      expect(goodCallback).toHaveBeenCalledWith('data', expect.objectContaining({ name: 'error' }));
+      expect(badCallback).toHaveBeenCalledWith('data', expect.objectContaining({ name: 'error' }));
       expect(consoleError).toHaveBeenCalled();
 
       consoleError.mockRestore();
@@ -301,7 +314,7 @@ describe('Nexus Event Hub', () => {
       const callback = jest.fn();
       hub.on('click', 'listener', callback);
       hub.emit('click');
-      expect(callback).toHaveBeenCalledWith(undefined);
+      expect(callback).toHaveBeenCalledWith(undefined, expect.objectContaining({ name: 'click' }));
     });
   });
 
@@ -509,6 +522,2680 @@ describe('Nexus Event Hub', () => {
     });
   });
 
+  describe('Listener ordering', () => {
+    let hub;
+    let calls;
+    const record = (id) => () => calls.push(id);
+
+    beforeEach(() => {
+      hub = createNexusHub(['route:change', 'save']);
+      calls = [];
+    });
+
+    test('dispatches in registration order, including integer-like IDs', () => {
+      hub.on('save', 'b', record('b'));
+      hub.on('save', '10', record('10'));
+      hub.on('save', '2', record('2'));
+
+      hub.emit('save');
+      expect(calls).toEqual(['b', '10', '2']);
+    });
+
+    test('runs higher priorities first', () => {
+      hub.on('route:change', 'analytics', record('analytics'));
+      hub.on('route:change', 'auth-guard', record('auth-guard'), { priority: 100 });
+      hub.on('route:change', 'logger', record('logger'), { priority: -1 });
+      hub.on('route:change', 'title', record('title'));
+
+      hub.emit('route:change');
+      expect(calls).toEqual(['auth-guard', 'analytics', 'title', 'logger']);
+    });
+
+    test('honors before and after constraints', () => {
+      hub.on('route:change', 'analytics', record('analytics'), { priority: 10 });
+      hub.on('route:change', 'auth-guard', record('auth-guard'), { before: 'analytics' });
+      hub.on('route:change', 'audit', record('audit'), { after: ['auth-guard', 'missing'] });
+
+      hub.emit('route:change');
+      expect(calls).toEqual(['auth-guard', 'analytics', 'audit']);
+    });
+
+    test('applies constraints to listeners registered later', () => {
+      hub.on('route:change', 'cleanup', record('cleanup'), { after: 'render' });
+      hub.on('route:change', 'render', record('render'));
+
+      hub.emit('route:change');
+      expect(calls).toEqual(['render', 'cleanup']);
+    });
+
+    test('rejects circular constraints and keeps the previous registration', () => {
+      hub.on('save', 'a', record('a'), { before: 'b' });
+      hub.on('save', 'b', record('b'));
+
+      expect(() => hub.on('save', 'b', record('b2'), { before: 'a' })).toThrow(
+        'Listeners for event "save" have circular before/after constraints'
+      );
+
+      hub.emit('save');
+      expect(calls).toEqual(['a', 'b']);
+    });
+
+    test('rejects an unconstrained listener that closes a cycle', () => {
+      hub.on('save', 'a', record('a'), { after: 'c', before: 'd' });
+      hub.on('save', 'd', record('d'), { before: 'c' });
+
+      expect(() => hub.on('save', 'c', record('c'))).toThrow('circular before/after constraints');
+      expect(hub.listenerCount('save')).toBe(2);
+    });
+
+    test('moves re-registered IDs to the end of their priority group', () => {
+      hub.on('save', 'a', record('a'));
+      hub.on('save', 'b', record('b'));
+      hub.on('save', 'a', record('a2'));
+
+      hub.emit('save');
+      expect(calls).toEqual(['b', 'a2']);
+    });
+
+    test('applies options to once listeners', () => {
+      hub.on('save', 'a', record('a'));
+      hub.once('save', 'first', record('first'), { priority: 1 });
+
+      hub.emit('save');
+      hub.emit('save');
+      expect(calls).toEqual(['first', 'a', 'a']);
+    });
+
+    test('returns listeners in dispatch order', () => {
+      const low = () => {};
+      const high = () => {};
+      const onceListener = () => {};
+      hub.on('save', 'low', low);
+      hub.on('save', 'high', high, { priority: 5 });
+      hub.once('save', 'once', onceListener, { before: 'high' });
+
+      expect(hub.listeners('save')).toEqual([onceListener, high, low]);
+    });
+
+    test('validates ordering options', () => {
+      expect(() => hub.on('save', 'a', jest.fn(), { priority: 'high' })).toThrow('Priority must be a finite number');
+      expect(() => hub.on('save', 'a', jest.fn(), { priority: NaN })).toThrow('Priority must be a finite number');
+      expect(() => hub.on('save', 'a', jest.fn(), { before: 1 })).toThrow(
+        'before must be a listener ID or an array of listener IDs'
+      );
+    });
+  });
+
+  describe('Event context', () => {
+    let hub;
+
+    beforeEach(() => {
+      hub = createNexusHub(['modal:close', 'route:leave']);
+    });
+
+    test('passes the event name to listeners', () => {
+      const callback = jest.fn();
+      hub.on('modal:close', 'l1', callback);
+      hub.emit('modal:close', 'settings');
+
+      const event = callback.mock.calls[0][1];
+      expect(event.name).toBe('modal:close');
+      expect(event.defaultPrevented).toBe(false);
+      expect(event.propagationStopped).toBe(false);
+    });
+
+    test('preventDefault marks the emission as canceled', () => {
+      const later = jest.fn();
+      hub.on('route:leave', 'unsaved-changes', (data, event) => event.preventDefault(), { priority: 1 });
+      hub.on('route:leave', 'analytics', later);
+
+      expect(hub.emit('route:leave')).toBe(false);
+      expect(later).toHaveBeenCalledWith(undefined, expect.objectContaining({ defaultPrevented: true }));
+    });
+
+    test('returns true when no listener cancels', () => {
+      hub.on('route:leave', 'analytics', jest.fn());
+      expect(hub.emit('route:leave')).toBe(true);
+    });
+
+    test('stopPropagation skips lower-priority listeners', () => {
+      const analytics = jest.fn();
+      hub.on('modal:close', 'analytics', analytics);
+      hub.on('modal:close', 'guard', (data, event) => event.stopPropagation(), { priority: 10 });
+
+      expect(hub.emit('modal:close')).toBe(true);
+      expect(analytics).not.toHaveBeenCalled();
+    });
+
+    test('stopPropagation still removes the once listener that called it', () => {
+      hub.once('modal:close', 'guard', (data, event) => event.stopPropagation());
+      hub.once('modal:close', 'other', jest.fn());
+
+      hub.emit('modal:close');
+      expect(hub.listenerCount('modal:close')).toBe(1);
+    });
+
+    test('stopPropagation skips remaining listeners in serial emitAsync', async () => {
+      const later = jest.fn();
+      hub.on('route:leave', 'guard', async (data, event) => {
+        event.stopPropagation();
+        return 'stopped';
+      });
+      hub.on('route:leave', 'later', later);
+
+      await expect(hub.emitAsync('route:leave', null, { mode: 'serial' })).resolves.toEqual({ guard: 'stopped' });
+      expect(later).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Wildcard subscriptions', () => {
+    let hub;
+
+    beforeEach(() => {
+      hub = createNexusHub(['user:login', 'user:logout', 'user:profile:update', 'cart:add']);
+    });
+
+    test('receives every event matching a namespace pattern', () => {
+      const callback = jest.fn();
+      hub.on('user:*', 'audit', callback);
+
+      hub.emit('user:login', 'alice');
+      hub.emit('user:profile:update', { name: 'Alice' });
+      hub.emit('cart:add', 'item');
+
+      expect(callback).toHaveBeenCalledTimes(2);
+      expect(callback).toHaveBeenCalledWith('alice', expect.objectContaining({ name: 'user:login' }));
+      expect(callback).toHaveBeenCalledWith(
+        { name: 'Alice' },
+        expect.objectContaining({ name: 'user:profile:update' })
+      );
+    });
+
+    test('counts pattern listeners when reporting whether an emit had listeners', () => {
+      hub.on('cart:*', 'l1', jest.fn());
+      expect(hub.emit('cart:add')).toBe(true);
+      expect(hub.emit('user:login')).toBe(false);
+    });
+
+    test('throws for patterns that match no registered event', () => {
+      expect(() => hub.on('order:*', 'l1', jest.fn())).toThrow(
+        'Event pattern "order:*" does not match any registered event'
+      );
+      expect(() => hub.off('order:*')).toThrow('does not match any registered event');
+    });
+
+    test('orders pattern listeners together with exact listeners', () => {
+      const calls = [];
+      hub.on('user:login', 'session', () => calls.push('session'));
+      hub.on('user:*', 'audit', () => calls.push('audit'), { priority: 1 });
+      hub.on('*', 'metrics', () => calls.push('metrics'), { after: 'session' });
+
+      hub.emit('user:login');
+      expect(calls).toEqual(['audit', 'session', 'metrics']);
+    });
+
+    test('applies constraints to every listener sharing an ID', () => {
+      const calls = [];
+      hub.on('user:login', 'a', () => calls.push('event-a'));
+      hub.onAny('a', () => calls.push('any-a'));
+      hub.on('user:login', 'b', () => calls.push('b'), { before: 'a' });
+
+      hub.emit('user:login');
+      expect(calls).toEqual(['b', 'event-a', 'any-a']);
+    });
+
+    test('rejects constraints that become circular through a pattern', () => {
+      hub.on('user:login', 'a', jest.fn(), { before: 'b' });
+      expect(() => hub.on('user:*', 'b', jest.fn(), { before: 'a' })).toThrow('circular before/after constraints');
+      expect(hub.listenerCount('user:*')).toBe(0);
+    });
+
+    test('supports once, off, listenerCount and listeners for patterns', () => {
+      const onceListener = jest.fn();
+      const listener = () => {};
+      hub.once('user:*', 'first-user-event', onceListener);
+      hub.on('user:*', 'audit', listener);
+
+      expect(hub.listenerCount('user:*')).toBe(2);
+      expect(hub.listeners('user:*')).toEqual([onceListener, listener]);
+
+      hub.emit('user:logout');
+      hub.emit('user:login');
+      expect(onceListener).toHaveBeenCalledTimes(1);
+      expect(hub.listenerCount('user:*')).toBe(1);
+
+      hub.off('user:*', 'audit');
+      expect(hub.listenerCount('user:*')).toBe(0);
+      expect(hub.emit('user:login')).toBe(false);
+    });
+
+    test('keeps exact listener queries separate from patterns', () => {
+      const exact = () => {};
+      hub.on('user:login', 'exact', exact);
+      hub.on('user:*', 'pattern', () => {});
+
+      expect(hub.listenerCount('user:login')).toBe(1);
+      expect(hub.listeners('user:login')).toEqual([exact]);
+      expect(hub.listenerCount()).toBe(2);
+    });
+
+    test('treats registered names containing * as exact events', () => {
+      const starred = createNexusHub(['a*', 'ab']);
+      const callback = jest.fn();
+      starred.on('a*', 'l1', callback);
+
+      starred.emit('ab');
+      expect(callback).not.toHaveBeenCalled();
+      starred.emit('a*');
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('onAny receives the event name and payload of every event', () => {
+      const callback = jest.fn();
+      hub.onAny('logger', callback);
+
+      hub.emit('cart:add', 'item');
+      hub.emit('user:login', 'alice');
+
+      expect(callback).toHaveBeenNthCalledWith(1, 'cart:add', 'item', expect.objectContaining({ name: 'cart:add' }));
+      expect(callback).toHaveBeenNthCalledWith(2, 'user:login', 'alice', expect.anything());
+      expect(hub.emit('user:logout')).toBe(true);
+    });
+
+    test('offAny removes onAny listeners', () => {
+      const first = jest.fn();
+      const second = jest.fn();
+      hub.onAny('first', first).onAny('second', second);
+
+      hub.offAny('first');
+      hub.emit('cart:add');
+      expect(first).not.toHaveBeenCalled();
+      expect(second).toHaveBeenCalled();
+
+      hub.offAny();
+      expect(hub.listenerCount()).toBe(0);
+      expect(() => hub.offAny(1)).toThrow('Listener ID must be a string');
+    });
+
+    test('clear removes pattern and onAny listeners', () => {
+      hub.on('user:*', 'l1', jest.fn());
+      hub.onAny('l2', jest.fn());
+      hub.on('cart:add', 'l3', jest.fn());
+
+      hub.clear();
+      expect(hub.listenerCount()).toBe(0);
+      expect(hub.listeners()).toEqual([]);
+    });
+
+    test('clear accepts a pattern', () => {
+      hub.on('user:*', 'l1', jest.fn());
+      hub.clear('user:*');
+      expect(hub.listenerCount('user:*')).toBe(0);
+    });
+  });
+
+  describe('Unsubscribe handles and abort signals', () => {
+    let hub;
+
+    beforeEach(() => {
+      hub = createNexusHub(['user:login', 'user:logout']);
+    });
+
+    test('subscribe returns a function that removes the listener', () => {
+      const callback = jest.fn();
+      const unsubscribe = hub.subscribe('user:login', 'l1', callback);
+
+      hub.emit('user:login');
+      unsubscribe();
+      hub.emit('user:login');
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(hub.listenerCount('user:login')).toBe(0);
+      expect(() => unsubscribe()).not.toThrow();
+    });
+
+    test('unsubscribe implements Symbol.dispose when the runtime provides it', () => {
+      // The test realm has no Symbol.dispose, so install it the way a polyfill would
+      const polyfilled = typeof Symbol.dispose !== 'symbol';
+      if (polyfilled) {
+        Object.defineProperty(Symbol, 'dispose', { value: Symbol.for('nodejs.dispose'), configurable: true });
+      }
+
+      try {
+        const callback = jest.fn();
+        const unsubscribe = hub.subscribe('user:login', 'l1', callback);
+
+        expect(unsubscribe[Symbol.dispose]).toBe(unsubscribe);
+        unsubscribe[Symbol.dispose]();
+        hub.emit('user:login');
+        expect(callback).not.toHaveBeenCalled();
+      } finally {
+        if (polyfilled) delete Symbol.dispose;
+      }
+    });
+
+    test('unsubscribe leaves a later registration with the same ID alone', () => {
+      const first = jest.fn();
+      const second = jest.fn();
+      const unsubscribe = hub.subscribe('user:login', 'l1', first);
+      hub.on('user:login', 'l1', second);
+
+      unsubscribe();
+      hub.emit('user:login');
+      expect(first).not.toHaveBeenCalled();
+      expect(second).toHaveBeenCalled();
+    });
+
+    test('subscribe supports once, ordering options and patterns', () => {
+      const calls = [];
+      hub.on('user:login', 'normal', () => calls.push('normal'));
+      const unsubscribe = hub.subscribe('user:*', 'first', () => calls.push('first'), { once: true, priority: 1 });
+
+      hub.emit('user:login');
+      hub.emit('user:login');
+      expect(calls).toEqual(['first', 'normal', 'normal']);
+      expect(hub.listenerCount('user:*')).toBe(0);
+      expect(() => unsubscribe()).not.toThrow();
+    });
+
+    test('removes listeners when their signal aborts', () => {
+      const controller = new AbortController();
+      const callback = jest.fn();
+      const anyCallback = jest.fn();
+      hub.on('user:login', 'l1', callback, { signal: controller.signal });
+      hub.on('user:*', 'l2', callback, { signal: controller.signal });
+      hub.onAny('l3', anyCallback, { signal: controller.signal });
+
+      controller.abort();
+      hub.emit('user:login');
+
+      expect(callback).not.toHaveBeenCalled();
+      expect(anyCallback).not.toHaveBeenCalled();
+      expect(hub.listenerCount()).toBe(0);
+    });
+
+    test('does not add a listener when the signal is already aborted', () => {
+      const callback = jest.fn();
+      const unsubscribe = hub.subscribe('user:login', 'l1', callback, { signal: AbortSignal.abort() });
+
+      hub.emit('user:login');
+      expect(callback).not.toHaveBeenCalled();
+      expect(hub.listenerCount()).toBe(0);
+      expect(typeof unsubscribe).toBe('function');
+    });
+
+    test('detaches from the signal once the listener is removed', () => {
+      const controller = new AbortController();
+      const addSpy = jest.spyOn(controller.signal, 'addEventListener');
+      const removeSpy = jest.spyOn(controller.signal, 'removeEventListener');
+
+      hub.once('user:login', 'l1', jest.fn(), { signal: controller.signal });
+      hub.emit('user:login');
+      expect(removeSpy).toHaveBeenCalledWith('abort', addSpy.mock.calls[0][1]);
+
+      // Re-registering an ID releases the signal of the replaced listener
+      hub.on('user:logout', 'l2', jest.fn(), { signal: controller.signal });
+      hub.on('user:logout', 'l2', jest.fn());
+      expect(removeSpy).toHaveBeenCalledWith('abort', addSpy.mock.calls[1][1]);
+    });
+
+    test('aborting after a listener was replaced keeps the new registration', () => {
+      const controller = new AbortController();
+      const replacement = jest.fn();
+      hub.on('user:login', 'l1', jest.fn(), { signal: controller.signal });
+      hub.on('user:login', 'l1', replacement);
+
+      controller.abort();
+      hub.emit('user:login');
+      expect(replacement).toHaveBeenCalled();
+    });
+
+    test('throws for an invalid signal', () => {
+      expect(() => hub.on('user:login', 'l1', jest.fn(), { signal: {} })).toThrow('Signal must be an AbortSignal');
+      expect(hub.listenerCount()).toBe(0);
+    });
+  });
+
+  describe('Waiting for events (waitFor)', () => {
+    let hub;
+
+    beforeEach(() => {
+      hub = createNexusHub(['user:login', 'user:logout']);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('resolves with the payload of the next emission and removes its listener', async () => {
+      const waiting = hub.waitFor('user:login');
+
+      expect(hub.emit('user:login', { id: 1 })).toBe(true);
+      expect(hub.emit('user:login', { id: 2 })).toBe(false);
+
+      await expect(waiting).resolves.toEqual({ id: 1 });
+    });
+
+    test('settles on the first emission the filter accepts', async () => {
+      const waiting = hub.waitFor('user:login', { filter: (user) => user.id === 2 });
+
+      hub.emit('user:login', { id: 1 });
+      hub.emit('user:login', { id: 2 });
+
+      await expect(waiting).resolves.toEqual({ id: 2 });
+    });
+
+    test('accepts patterns', async () => {
+      const waiting = hub.waitFor('user:*', { filter: (_, event) => event.name === 'user:logout' });
+
+      hub.emit('user:login', 'a');
+      hub.emit('user:logout', 'b');
+
+      await expect(waiting).resolves.toBe('b');
+      expect(hub.emit('user:login')).toBe(false);
+    });
+
+    test('rejects with NexusTimeoutError and cleans up when the timeout expires', async () => {
+      jest.useFakeTimers();
+      const waiting = hub.waitFor('user:login', { timeout: 100 });
+
+      jest.advanceTimersByTime(100);
+
+      await expect(waiting).rejects.toThrow(NexusTimeoutError);
+      await expect(waiting).rejects.toMatchObject({ timeout: 100 });
+      await expect(waiting).rejects.toThrow('Timed out after 100ms waiting for event "user:login"');
+      expect(hub.emit('user:login')).toBe(false);
+    });
+
+    test('clears its timer once the event arrives', async () => {
+      jest.useFakeTimers();
+      const waiting = hub.waitFor('user:login', { timeout: 100 });
+
+      hub.emit('user:login', 'ok');
+      expect(jest.getTimerCount()).toBe(0);
+      await expect(waiting).resolves.toBe('ok');
+    });
+
+    test('rejects with NexusAbortError and cleans up when the signal aborts', async () => {
+      const controller = new AbortController();
+      const waiting = hub.waitFor('user:login', { signal: controller.signal });
+
+      controller.abort('navigated away');
+
+      await expect(waiting).rejects.toThrow(NexusAbortError);
+      await expect(waiting).rejects.toMatchObject({ reason: 'navigated away' });
+      expect(hub.emit('user:login')).toBe(false);
+    });
+
+    test('rejects immediately for an already aborted signal', async () => {
+      await expect(hub.waitFor('user:login', { signal: AbortSignal.abort() })).rejects.toThrow(NexusAbortError);
+      expect(hub.emit('user:login')).toBe(false);
+    });
+
+    test('rejects with the error thrown by the filter', async () => {
+      const onError = jest.fn();
+      hub.onError('reporter', onError);
+      const waiting = hub.waitFor('user:login', {
+        filter: () => {
+          throw new Error('bad filter');
+        },
+      });
+
+      expect(hub.emit('user:login')).toBe(true);
+      await expect(waiting).rejects.toThrow('bad filter');
+      expect(onError).not.toHaveBeenCalled();
+      expect(hub.emit('user:login')).toBe(false);
+    });
+
+    test('is not counted, listed or given a result like a listener', async () => {
+      hub.on('user:login', 'user', () => 1);
+      const waiting = hub.waitFor('user:login');
+      hub.stream('user:login');
+
+      expect(hub.listenerCount('user:login')).toBe(1);
+      expect(hub.listenerCount()).toBe(1);
+      expect(hub.listeners('user:login')).toHaveLength(1);
+      expect(hub.getStats()['user:login'].listenerCount).toBe(1);
+
+      await expect(hub.emitAsync('user:login', 'ok')).resolves.toEqual({ user: 1 });
+      await expect(waiting).resolves.toBe('ok');
+    });
+
+    test('keeps waiting through off and clear', async () => {
+      const waiting = hub.waitFor('user:login');
+      hub.on('user:login', 'audit', () => {});
+
+      hub.off('user:login');
+      hub.clear();
+      hub.emit('user:login', 'ok');
+
+      await expect(waiting).resolves.toBe('ok');
+    });
+
+    test('rejects when its event is unregistered', async () => {
+      const waiting = hub.waitFor('user:login');
+      const pattern = hub.waitFor('user:*');
+
+      hub.unregister(['user:login']);
+
+      await expect(waiting).rejects.toThrow('Event "user:login" was unregistered');
+      hub.emit('user:logout', 'bye');
+      await expect(pattern).resolves.toBe('bye');
+    });
+
+    test('validates arguments synchronously', () => {
+      expect(() => hub.waitFor('invalid')).toThrow('Event "invalid" is not registered');
+      expect(() => hub.waitFor('user:login', { filter: 'x' })).toThrow('Filter must be a function');
+      expect(() => hub.waitFor('user:login', { timeout: 0 })).toThrow('Timeout must be a positive number');
+      expect(() => hub.waitFor('user:login', { signal: {} })).toThrow('Signal must be an AbortSignal');
+      expect(hub.emit('user:login')).toBe(false);
+    });
+  });
+
+  describe('Retained events', () => {
+    let hub;
+
+    beforeEach(() => {
+      hub = createNexusHub(['user:login', 'user:logout', 'chat:message', 'click'], {
+        retain: { 'user:login': true, 'user:logout': true, 'chat:message': 3 },
+      });
+    });
+
+    test('sticky events replay their latest payload to late listeners', () => {
+      hub.emit('user:login', { id: 1 });
+      hub.emit('user:login', { id: 2 });
+
+      const callback = jest.fn();
+      hub.on('user:login', 'late', callback);
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith({ id: 2 }, expect.objectContaining({ name: 'user:login', replayed: true }));
+
+      hub.emit('user:login', { id: 3 });
+      expect(callback).toHaveBeenLastCalledWith(
+        { id: 3 },
+        expect.objectContaining({ name: 'user:login', replayed: false })
+      );
+    });
+
+    test('replay buffers keep the latest N payloads in order', () => {
+      ['a', 'b', 'c', 'd'].forEach((message) => hub.emit('chat:message', message));
+
+      const received = [];
+      hub.on('chat:message', 'late', (message) => received.push(message));
+      expect(received).toEqual(['b', 'c', 'd']);
+    });
+
+    test('events that are not retained are not replayed', () => {
+      hub.emit('click', 'x');
+      const callback = jest.fn();
+      hub.on('click', 'late', callback);
+
+      expect(callback).not.toHaveBeenCalled();
+      expect(hub.getLast('click')).toBeUndefined();
+    });
+
+    test('once listeners receive only the latest retained payload', () => {
+      ['a', 'b'].forEach((message) => hub.emit('chat:message', message));
+
+      const callback = jest.fn();
+      hub.once('chat:message', 'late', callback);
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith('a', expect.anything());
+      expect(hub.listenerCount('chat:message')).toBe(0);
+    });
+
+    test('pattern and onAny listeners replay matching events in emission order', () => {
+      hub.emit('user:logout', 'bye');
+      hub.emit('user:login', 'hi');
+      hub.emit('chat:message', 'msg');
+
+      const pattern = [];
+      hub.on('user:*', 'pattern', (data, event) => pattern.push([event.name, data]));
+      expect(pattern).toEqual([
+        ['user:logout', 'bye'],
+        ['user:login', 'hi'],
+      ]);
+
+      const any = jest.fn();
+      hub.onAny('any', any);
+      expect(any.mock.calls.map(([name]) => name)).toEqual(['user:logout', 'user:login', 'chat:message']);
+    });
+
+    test('retains the payload as transformed by middleware', () => {
+      hub.use((eventName, data, next) => next(eventName === 'user:login' ? { ...data, seen: true } : data));
+      hub.emit('user:login', { id: 1 });
+
+      expect(hub.getLast('user:login')).toEqual({ id: 1, seen: true });
+    });
+
+    test('listeners can opt out of replay', () => {
+      hub.emit('user:login', 'hi');
+      const callback = jest.fn();
+      hub.on('user:login', 'live-only', callback, { replay: false });
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('replay failures are reported without throwing from on', () => {
+      const onError = jest.fn();
+      hub.onError('reporter', onError);
+      hub.emit('user:login', 'hi');
+
+      expect(() =>
+        hub.on('user:login', 'broken', () => {
+          throw new Error('boom');
+        })
+      ).not.toThrow();
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ eventName: 'user:login', listenerId: 'broken' }));
+    });
+
+    test('waitFor waits for the next emission unless asked to replay', async () => {
+      hub.emit('user:login', 'old');
+
+      const next = hub.waitFor('user:login');
+      hub.emit('user:login', 'new');
+      await expect(next).resolves.toBe('new');
+    });
+
+    test('waitFor resolves with a retained payload with replay', async () => {
+      hub.emit('user:login', { id: 7 });
+
+      await expect(hub.waitFor('user:login', { replay: true })).resolves.toEqual({ id: 7 });
+      await expect(hub.waitFor('chat:message', { timeout: 10 })).rejects.toThrow(NexusTimeoutError);
+      expect(hub.emit('chat:message', 'x')).toBe(false);
+      expect(hub.emit('user:login', { id: 8 })).toBe(false);
+    });
+
+    test('getLast returns the latest retained payload', () => {
+      expect(hub.getLast('chat:message')).toBeUndefined();
+      hub.emit('chat:message', 'a');
+      hub.emit('chat:message', 'b');
+
+      expect(hub.getLast('chat:message')).toBe('b');
+      expect(() => hub.getLast('invalid')).toThrow('Event "invalid" is not registered');
+    });
+
+    test('clearRetained forgets retained payloads', () => {
+      hub.emit('user:login', 'hi');
+      hub.emit('chat:message', 'msg');
+
+      hub.clearRetained('user:login');
+      expect(hub.getLast('user:login')).toBeUndefined();
+      expect(hub.getLast('chat:message')).toBe('msg');
+
+      hub.clearRetained();
+      const callback = jest.fn();
+      hub.onAny('late', callback);
+      expect(callback).not.toHaveBeenCalled();
+      expect(() => hub.clearRetained('invalid')).toThrow('Event "invalid" is not registered');
+    });
+
+    test('validates the retain option', () => {
+      expect(() => createNexusHub(['a'], { retain: ['a'] })).toThrow(
+        'Retain must be an object mapping event names to replay counts'
+      );
+      expect(() => createNexusHub(['a'], { retain: { b: true } })).toThrow('Event "b" is not registered');
+      expect(() => createNexusHub(['a'], { retain: { a: 0 } })).toThrow(
+        'Retain count for event "a" must be a boolean or a positive integer'
+      );
+      expect(() => createNexusHub(['a'], { retain: { a: false } })).not.toThrow();
+    });
+  });
+
+  describe('Request/response (handle and request)', () => {
+    let hub;
+
+    beforeEach(() => {
+      hub = createNexusHub(['price:quote', 'plugin:ready']);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('resolves with the return value of the handler', async () => {
+      hub.handle('price:quote', (item) => item.qty * 2);
+      await expect(hub.request('price:quote', { qty: 3 })).resolves.toBe(6);
+    });
+
+    test('awaits async handlers', async () => {
+      hub.handle('price:quote', async () => 'later');
+      await expect(hub.request('price:quote')).resolves.toBe('later');
+    });
+
+    test('does not involve on listeners', async () => {
+      const listener = jest.fn();
+      hub.on('price:quote', 'listener', listener);
+      hub.handle('price:quote', () => 1);
+
+      await hub.request('price:quote', {});
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('rejects when no handler is registered', async () => {
+      await expect(hub.request('price:quote')).rejects.toThrow('No handler registered for event "price:quote"');
+    });
+
+    test('allows only one handler per event', () => {
+      hub.handle('price:quote', () => 1);
+      expect(() => hub.handle('price:quote', () => 2)).toThrow(
+        'A handler for event "price:quote" is already registered'
+      );
+
+      hub.unhandle('price:quote');
+      expect(() => hub.handle('price:quote', () => 2)).not.toThrow();
+    });
+
+    test('rejects with the error thrown by the handler', async () => {
+      const error = new Error('no price');
+      hub.handle('price:quote', () => {
+        throw error;
+      });
+      await expect(hub.request('price:quote')).rejects.toBe(error);
+    });
+
+    test('rejects with NexusTimeoutError when the handler is too slow', async () => {
+      jest.useFakeTimers();
+      hub.handle('price:quote', () => new Promise(() => {}));
+
+      const request = hub.request('price:quote', null, { timeout: 50 });
+      jest.advanceTimersByTime(50);
+
+      await expect(request).rejects.toThrow(NexusTimeoutError);
+      await expect(request).rejects.toThrow('Request for event "price:quote" timed out after 50ms');
+    });
+
+    test('rejects with NexusAbortError when the signal aborts', async () => {
+      hub.handle('price:quote', () => new Promise(() => {}));
+      const controller = new AbortController();
+
+      const request = hub.request('price:quote', null, { signal: controller.signal });
+      controller.abort();
+
+      await expect(request).rejects.toThrow(NexusAbortError);
+      await expect(hub.request('price:quote', null, { signal: controller.signal })).rejects.toThrow(NexusAbortError);
+    });
+
+    test('rejects invalid payloads before calling the handler', async () => {
+      const validated = createNexusHub(
+        { 'price:quote': { type: 'object', shape: { qty: 'number' } } },
+        {
+          onValidationError: jest.fn(),
+        }
+      );
+      const handler = jest.fn();
+      validated.handle('price:quote', handler);
+
+      await expect(validated.request('price:quote', { qty: 'x' })).rejects.toThrow(NexusValidationError);
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('validates arguments synchronously', () => {
+      expect(() => hub.handle('invalid', () => {})).toThrow('Event "invalid" is not registered');
+      expect(() => hub.handle('price:quote', 'x')).toThrow('Handler must be a function');
+      expect(() => hub.unhandle('invalid')).toThrow('Event "invalid" is not registered');
+      expect(() => hub.request('invalid')).toThrow('Event "invalid" is not registered');
+      expect(() => hub.request('price:quote', null, { timeout: 0 })).toThrow('Timeout must be a positive number');
+      expect(() => hub.request('price:quote', null, { signal: {} })).toThrow('Signal must be an AbortSignal');
+    });
+
+    test('supports method chaining', () => {
+      expect(hub.handle('price:quote', () => 1).unhandle('price:quote')).toBe(hub);
+    });
+  });
+
+  describe('Scopes (createScope)', () => {
+    let hub;
+    let scope;
+
+    beforeEach(() => {
+      hub = createNexusHub(['cart:add', 'cart:clear', 'user:login']);
+      scope = hub.createScope('checkout');
+    });
+
+    test('scope listeners receive emissions of the hub', () => {
+      const callback = jest.fn();
+      scope.on('cart:add', 'badge', callback);
+
+      hub.emit('cart:add', 1);
+      expect(callback).toHaveBeenCalledWith(1, expect.objectContaining({ name: 'cart:add' }));
+      expect(hub.listenerCount('cart:add')).toBe(1);
+    });
+
+    test('dispose removes every listener added through the scope', () => {
+      const own = jest.fn();
+      hub.on('cart:add', 'app', own);
+      scope.on('cart:add', 'badge', jest.fn());
+      scope.once('cart:clear', 'reset', jest.fn());
+      scope.on('cart:*', 'log', jest.fn());
+      scope.onAny('audit', jest.fn());
+      scope.subscribe('user:login', 'greet', jest.fn());
+
+      scope.dispose();
+
+      expect(hub.listenerCount()).toBe(1);
+      hub.emit('cart:add', 2);
+      expect(own).toHaveBeenCalledWith(2, expect.anything());
+      expect(scope.disposed).toBe(true);
+    });
+
+    test('rejects listener IDs used by the hub or another scope', () => {
+      const own = jest.fn();
+      hub.on('cart:add', 'save', own);
+      scope.on('cart:add', 'badge', jest.fn());
+
+      expect(() => scope.on('cart:add', 'save', jest.fn())).toThrow('Listener ID "save" is already used by the hub');
+      expect(() => hub.on('cart:add', 'badge', jest.fn())).toThrow(
+        'Listener ID "badge" is already used by scope "checkout"'
+      );
+      expect(() => hub.createScope('other').on('cart:add', 'badge', jest.fn())).toThrow(
+        'Listener ID "badge" is already used by scope "checkout"'
+      );
+
+      scope.dispose();
+      hub.emit('cart:add', 1);
+      expect(own).toHaveBeenCalledTimes(1);
+    });
+
+    test('off, clear and counting only see the scope listeners', () => {
+      hub.on('cart:add', 'app', jest.fn());
+      const badge = jest.fn();
+      scope.on('cart:add', 'badge', badge).on('cart:add', 'total', jest.fn());
+
+      expect(scope.listenerCount('cart:add')).toBe(2);
+      expect(scope.listeners('cart:add')[0]).toBe(badge);
+
+      scope.off('cart:add', 'app');
+      scope.off('cart:add', 'total');
+      expect(hub.listenerCount('cart:add')).toBe(2);
+
+      scope.clear();
+      expect(scope.listenerCount()).toBe(0);
+      expect(hub.listenerCount()).toBe(1);
+    });
+
+    test('emit on the scope only reaches its own listeners', () => {
+      const app = jest.fn();
+      const badge = jest.fn();
+      hub.on('cart:add', 'app', app);
+      scope.on('cart:add', 'badge', badge);
+
+      expect(scope.emit('cart:add', 1)).toBe(true);
+      expect(badge).toHaveBeenCalledTimes(1);
+      expect(app).not.toHaveBeenCalled();
+    });
+
+    test('emit on a bubbling scope reaches the whole hub', async () => {
+      const bubbling = hub.createScope('header', { bubble: true });
+      const app = jest.fn(() => 'app');
+      hub.on('cart:add', 'app', app);
+
+      bubbling.emit('cart:add', 1);
+      expect(app).toHaveBeenCalledTimes(1);
+      await expect(bubbling.emitAsync('cart:add', 2)).resolves.toEqual({ app: 'app' });
+    });
+
+    test('emitAsync on the scope only awaits its own listeners', async () => {
+      hub.on('cart:add', 'app', () => 'app');
+      scope.on('cart:add', 'badge', async () => 'badge');
+
+      await expect(scope.emitAsync('cart:add', 1)).resolves.toEqual({ badge: 'badge' });
+    });
+
+    test('scoped emissions are not retained', () => {
+      const retaining = createNexusHub(['cart:add'], { retain: { 'cart:add': true } });
+      retaining.createScope('checkout').emit('cart:add', 1);
+      expect(retaining.getLast('cart:add')).toBeUndefined();
+    });
+
+    test('nested scopes are disposed with their parent', () => {
+      const child = scope.createScope('payment');
+      const nested = jest.fn();
+      child.on('cart:add', 'nested', nested);
+
+      expect(scope.listenerCount()).toBe(1);
+      scope.emit('cart:add', 1);
+      expect(nested).toHaveBeenCalledTimes(1);
+
+      scope.dispose();
+      expect(child.disposed).toBe(true);
+      expect(hub.listenerCount()).toBe(0);
+    });
+
+    test('disposing a child scope leaves its parent alone', () => {
+      const child = scope.createScope('payment');
+      scope.on('cart:add', 'badge', jest.fn());
+      child.on('cart:add', 'nested', jest.fn());
+
+      child.dispose();
+      expect(scope.listenerCount()).toBe(1);
+      expect(() => scope.createScope('payment')).not.toThrow();
+    });
+
+    test('dispose rejects pending waits and ends streams', async () => {
+      const waiting = scope.waitFor('cart:add');
+      const stream = scope.stream('cart:add');
+
+      scope.dispose();
+
+      await expect(waiting).rejects.toThrow(NexusAbortError);
+      await expect(stream.next()).resolves.toEqual({ value: undefined, done: true });
+      expect(hub.emit('cart:add')).toBe(false);
+    });
+
+    test('dispose removes handlers registered through the scope', async () => {
+      scope.handle('cart:add', () => 'scoped');
+      await expect(hub.request('cart:add')).resolves.toBe('scoped');
+
+      scope.dispose();
+      await expect(hub.request('cart:add')).rejects.toThrow('No handler registered for event "cart:add"');
+    });
+
+    test('unhandle leaves handlers registered by others alone', async () => {
+      hub.handle('cart:add', () => 'hub');
+      scope.unhandle('cart:add');
+      scope.dispose();
+
+      await expect(hub.request('cart:add')).resolves.toBe('hub');
+    });
+
+    test('a disposed scope cannot be used', () => {
+      scope.dispose();
+      expect(() => scope.dispose()).not.toThrow();
+      expect(() => scope.on('cart:add', 'late', jest.fn())).toThrow('Scope "checkout" has been disposed');
+      expect(() => scope.emit('cart:add')).toThrow('Scope "checkout" has been disposed');
+    });
+
+    test('implements Symbol.dispose when the runtime provides it', () => {
+      const polyfilled = typeof Symbol.dispose !== 'symbol';
+      if (polyfilled) {
+        Object.defineProperty(Symbol, 'dispose', { value: Symbol.for('nodejs.dispose'), configurable: true });
+      }
+
+      try {
+        const modal = hub.createScope('modal');
+        modal.on('cart:add', 'badge', jest.fn());
+        modal[Symbol.dispose]();
+        expect(hub.listenerCount()).toBe(0);
+      } finally {
+        if (polyfilled) delete Symbol.dispose;
+      }
+    });
+
+    test('validates its arguments', () => {
+      expect(() => hub.createScope('')).toThrow('Scope name must be a non-empty string');
+      expect(() => hub.createScope('x', { bubble: 'yes' })).toThrow('Bubble must be a boolean');
+      expect(() => scope.on('invalid', 'id', jest.fn())).toThrow('Event "invalid" is not registered');
+      expect(scope.eventNames()).toEqual(hub.eventNames());
+    });
+  });
+
+  describe('Dynamic events (register, unregister and mergeHubs)', () => {
+    let hub;
+
+    beforeEach(() => {
+      hub = createNexusHub(['app:ready']);
+    });
+
+    test('register adds events that can be used right away', () => {
+      const callback = jest.fn();
+      hub.register(['plugin:loaded', 'plugin:error']);
+
+      hub.on('plugin:loaded', 'spy', callback);
+      hub.emit('plugin:loaded', 'charts');
+
+      expect(callback).toHaveBeenCalledWith('charts', expect.anything());
+      expect(hub.eventNames()).toEqual(['app:ready', 'plugin:loaded', 'plugin:error']);
+    });
+
+    test('register accepts validators', () => {
+      hub.register({ 'plugin:loaded': 'string' });
+      expect(() => hub.emit('plugin:loaded', 1)).toThrow(NexusValidationError);
+    });
+
+    test('existing pattern and onAny listeners receive registered events', () => {
+      const pattern = jest.fn();
+      const any = jest.fn();
+      hub.register(['plugin:loaded']);
+      hub.on('plugin:*', 'pattern', pattern);
+      hub.onAny('any', any);
+
+      hub.register(['plugin:error']);
+      hub.emit('plugin:error', 'boom');
+
+      expect(pattern).toHaveBeenCalledWith('boom', expect.objectContaining({ name: 'plugin:error' }));
+      expect(any).toHaveBeenCalledWith('plugin:error', 'boom', expect.anything());
+    });
+
+    test('register rejects names that are already registered', () => {
+      expect(() => hub.register(['plugin:loaded', 'app:ready'])).toThrow(
+        'Duplicate event names are not allowed: app:ready'
+      );
+      expect(() => hub.register(['a', 'a'])).toThrow('Duplicate event names are not allowed');
+      expect(() => hub.register([])).toThrow('At least one event name must be provided');
+      expect(() => hub.register([1])).toThrow('Event name must be a string');
+      expect(hub.eventNames()).toEqual(['app:ready']);
+    });
+
+    test('unregister removes the event and its listeners', async () => {
+      const callback = jest.fn();
+      hub.register(['plugin:loaded']);
+      hub.on('plugin:loaded', 'spy', callback);
+      hub.handle('plugin:loaded', () => 'ok');
+
+      hub.unregister(['plugin:loaded']);
+
+      expect(hub.eventNames()).toEqual(['app:ready']);
+      expect(hub.listenerCount()).toBe(0);
+      expect(() => hub.emit('plugin:loaded')).toThrow('Event "plugin:loaded" is not registered');
+
+      hub.register(['plugin:loaded']);
+      expect(hub.emit('plugin:loaded')).toBe(false);
+      await expect(hub.request('plugin:loaded')).rejects.toThrow('No handler registered');
+    });
+
+    test('unregister keeps pattern listeners for other events', () => {
+      const pattern = jest.fn();
+      hub.register(['plugin:loaded', 'plugin:error']);
+      hub.on('plugin:*', 'pattern', pattern);
+
+      hub.unregister(['plugin:loaded']);
+      hub.emit('plugin:error');
+
+      expect(pattern).toHaveBeenCalledTimes(1);
+      expect(hub.listenerCount('plugin:*')).toBe(1);
+    });
+
+    test('unregister validates every name before removing any', () => {
+      expect(() => hub.unregister(['app:ready', 'invalid'])).toThrow('Event "invalid" is not registered');
+      expect(() => hub.unregister('app:ready')).toThrow('Event names must be an array');
+      expect(hub.eventNames()).toEqual(['app:ready']);
+    });
+
+    test('does not change the array the hub was created with', () => {
+      const names = ['app:ready'];
+      createNexusHub(names).register(['plugin:loaded']);
+      expect(names).toEqual(['app:ready']);
+    });
+
+    describe('mergeHubs', () => {
+      test('creates a hub with the events of every hub', () => {
+        const auth = createNexusHub(['auth:login', 'auth:logout']);
+        const cart = createNexusHub(['cart:add']);
+
+        const merged = mergeHubs(auth, cart);
+        expect(merged.eventNames()).toEqual(['auth:login', 'auth:logout', 'cart:add']);
+        expect(merged).not.toBe(auth);
+      });
+
+      test('keeps validators and retain settings', () => {
+        const auth = createNexusHub(
+          { 'auth:login': { type: 'object', shape: { id: 'number' } } },
+          { retain: { 'auth:login': true } }
+        );
+        const merged = mergeHubs(auth, createNexusHub(['cart:add']));
+
+        expect(() => merged.emit('auth:login', {})).toThrow(NexusValidationError);
+        merged.emit('auth:login', { id: 1 });
+        expect(merged.getLast('auth:login')).toEqual({ id: 1 });
+      });
+
+      test('includes events registered at runtime', () => {
+        const plugin = createNexusHub(['plugin:loaded']).register(['plugin:error']);
+        expect(mergeHubs(hub, plugin).eventNames()).toContain('plugin:error');
+      });
+
+      test('rejects colliding event names', () => {
+        const a = createNexusHub(['shared:event', 'a:only']);
+        const b = createNexusHub(['shared:event', 'b:only']);
+        expect(() => mergeHubs(a, b)).toThrow('Duplicate event names are not allowed: shared:event');
+      });
+
+      test('validates its arguments', () => {
+        expect(() => mergeHubs()).toThrow('At least one hub must be provided');
+        expect(() => mergeHubs(hub, { eventNames: () => [] })).toThrow(
+          'mergeHubs expects hubs created with createNexusHub'
+        );
+      });
+    });
+  });
+
+  describe('Derived events (derive)', () => {
+    let hub;
+
+    beforeEach(() => {
+      hub = createNexusHub(['cart:add', 'cart:remove', 'user:login', 'prefs:loaded']);
+    });
+
+    test('folds source emissions into a state emitted as a new event', () => {
+      hub.derive(
+        'cart:total',
+        ['cart:add', 'cart:remove'],
+        (total, item, event) => (event.name === 'cart:add' ? total + item.price : total - item.price),
+        { initial: 0 }
+      );
+      const totals = [];
+      hub.on('cart:total', 'badge', (total) => totals.push(total));
+
+      hub.emit('cart:add', { price: 5 });
+      hub.emit('cart:add', { price: 3 });
+      hub.emit('cart:remove', { price: 5 });
+
+      expect(totals).toEqual([5, 8, 3]);
+      expect(hub.eventNames()).toContain('cart:total');
+    });
+
+    test('runs after the listeners of the source', () => {
+      const order = [];
+      hub.derive(
+        'cart:count',
+        map('cart:add', () => 1)
+      );
+      hub.on('cart:add', 'list', () => order.push('cart:add'));
+      hub.on('cart:count', 'badge', () => order.push('cart:count'));
+
+      hub.emit('cart:add', {});
+      expect(order).toEqual(['cart:add', 'cart:count']);
+    });
+
+    test('map transforms payloads', () => {
+      const callback = jest.fn();
+      hub
+        .derive(
+          'user:name',
+          map('user:login', (user) => user.name)
+        )
+        .on('user:name', 'greeting', callback);
+
+      hub.emit('user:login', { name: 'Ada' });
+      expect(callback).toHaveBeenCalledWith('Ada', expect.objectContaining({ name: 'user:name' }));
+    });
+
+    test('filter passes on accepted payloads only', () => {
+      const callback = jest.fn();
+      hub.derive(
+        'cart:big',
+        filter('cart:add', (item) => item.price > 100)
+      );
+      hub.on('cart:big', 'alert', callback);
+
+      hub.emit('cart:add', { price: 5 });
+      hub.emit('cart:add', { price: 500 });
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback.mock.calls[0][0]).toEqual({ price: 500 });
+    });
+
+    test('merge passes on every source', () => {
+      const received = [];
+      hub.derive('cart:changed', merge('cart:add', 'cart:remove'));
+      hub.on('cart:changed', 'sync', (item) => received.push(item));
+
+      hub.emit('cart:add', 1);
+      hub.emit('cart:remove', 2);
+      expect(received).toEqual([1, 2]);
+    });
+
+    test('combineLatest emits the latest payloads once every source emitted', () => {
+      const callback = jest.fn();
+      hub.derive('session:ready', combineLatest(['user:login', 'prefs:loaded']));
+      hub.on('session:ready', 'app', callback);
+
+      hub.emit('user:login', 'ada');
+      expect(callback).not.toHaveBeenCalled();
+
+      hub.emit('prefs:loaded', { theme: 'dark' });
+      hub.emit('user:login', 'grace');
+      expect(callback.mock.calls.map(([data]) => data)).toEqual([
+        { 'user:login': 'ada', 'prefs:loaded': { theme: 'dark' } },
+        { 'user:login': 'grace', 'prefs:loaded': { theme: 'dark' } },
+      ]);
+    });
+
+    test('derived events can be derived from', () => {
+      const callback = jest.fn();
+      hub
+        .derive('cart:total', ['cart:add'], (total, item) => total + item, { initial: 0 })
+        .derive(
+          'cart:over-budget',
+          filter('cart:total', (total) => total > 10)
+        )
+        .on('cart:over-budget', 'warning', callback);
+
+      hub.emit('cart:add', 6);
+      hub.emit('cart:add', 6);
+      expect(callback.mock.calls.map(([data]) => data)).toEqual([12]);
+    });
+
+    test('derived emissions are caused by their source', () => {
+      const enveloped = createNexusHub(['cart:add'], { envelope: true });
+      const envelopes = {};
+      enveloped.derive(
+        'cart:count',
+        map('cart:add', () => 1)
+      );
+      enveloped.on('cart:add', 'spy', (data, event) => (envelopes.add = event.envelope));
+      enveloped.on('cart:count', 'spy', (data, event) => (envelopes.count = event.envelope));
+
+      enveloped.emit('cart:add', {});
+      expect(envelopes.count.causationId).toBe(envelopes.add.id);
+    });
+
+    test('reducer failures are reported without stopping the source emission', () => {
+      const onError = jest.fn();
+      hub.setErrorHandler(onError);
+      hub.derive('cart:total', ['cart:add'], () => {
+        throw new Error('boom');
+      });
+
+      expect(hub.emit('cart:add', 1)).toBe(false);
+      expect(onError).toHaveBeenCalledWith(
+        expect.objectContaining({ eventName: 'cart:add', listenerId: 'derive:cart:total' })
+      );
+    });
+
+    test('are not listeners of the source', () => {
+      hub.derive(
+        'cart:count',
+        map('cart:add', () => 1)
+      );
+      expect(hub.listenerCount('cart:add')).toBe(0);
+
+      hub.clear();
+      const callback = jest.fn();
+      hub.on('cart:count', 'badge', callback);
+      hub.emit('cart:add', {});
+      expect(callback).toHaveBeenCalled();
+    });
+
+    test('scoped emissions do not derive', () => {
+      const callback = jest.fn();
+      hub
+        .derive(
+          'cart:count',
+          map('cart:add', () => 1)
+        )
+        .on('cart:count', 'badge', callback);
+
+      hub.createScope('panel').emit('cart:add', {});
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('unregister stops derived events', () => {
+      const callback = jest.fn();
+      hub.derive('cart:changed', merge('cart:add', 'cart:remove'));
+      hub.unregister(['cart:changed']);
+      hub.derive('cart:changed', merge('cart:remove')).on('cart:changed', 'sync', callback);
+      hub.unregister(['cart:remove']);
+
+      hub.emit('cart:add', 1);
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('unregistering one source stops derivations over several sources', () => {
+      const totals = jest.fn();
+      const sessions = jest.fn();
+      hub.derive('cart:total', ['cart:add', 'cart:remove'], (total, item) => total + item, { initial: 0 });
+      hub.derive('session:ready', combineLatest(['user:login', 'prefs:loaded']));
+      hub.on('cart:total', 'badge', totals).on('session:ready', 'app', sessions);
+      hub.emit('user:login', 'ann');
+      hub.emit('prefs:loaded', 'dark');
+      sessions.mockClear();
+
+      hub.unregister(['cart:remove', 'user:login']);
+      hub.emit('cart:add', 1);
+      hub.emit('prefs:loaded', 'light');
+
+      expect(totals).not.toHaveBeenCalled();
+      expect(sessions).not.toHaveBeenCalled();
+    });
+
+    test('validates its arguments', () => {
+      expect(() =>
+        hub.derive(
+          'cart:add',
+          map('user:login', (user) => user)
+        )
+      ).toThrow('Duplicate event names are not allowed: cart:add');
+      expect(() => hub.derive('x', ['nope'], (state) => state)).toThrow('Event "nope" is not registered');
+      expect(() => hub.derive('x', ['cart:add'])).toThrow('Reducer must be a function');
+      expect(() => hub.derive('x', [], (state) => state)).toThrow('Sources must be a non-empty array of event names');
+      expect(() => hub.derive('x', 'cart:add')).toThrow(
+        'derive expects source events and a reducer, or a derivation such as map(source, fn)'
+      );
+      expect(() => map('cart:add')).toThrow('Mapper must be a function');
+      expect(() => filter('cart:add', null)).toThrow('Predicate must be a function');
+      expect(() => merge()).toThrow('Sources must be a non-empty array of event names');
+      expect(hub.eventNames()).not.toContain('x');
+    });
+  });
+
+  describe('Event envelopes', () => {
+    let hub;
+
+    beforeEach(() => {
+      hub = createNexusHub(['form:submit', 'data:updated', 'toast:show'], { envelope: true });
+    });
+
+    test('are off by default', () => {
+      const plain = createNexusHub(['form:submit']);
+      const callback = jest.fn();
+      plain.on('form:submit', 'spy', callback);
+
+      plain.emit('form:submit', {}, { source: 'ignored' });
+      expect(callback.mock.calls[0][1].envelope).toBeNull();
+    });
+
+    test('give every emission an id, timestamp and source', () => {
+      const envelopes = [];
+      hub.on('form:submit', 'spy', (data, event) => envelopes.push(event.envelope));
+
+      const before = Date.now();
+      hub.emit('form:submit', {}, { source: 'checkout-form' });
+      hub.emit('form:submit', {});
+
+      const [first, second] = envelopes;
+      expect(first).toEqual({
+        id: expect.any(String),
+        timestamp: expect.any(Number),
+        source: 'checkout-form',
+        causationId: null,
+        correlationId: first.id,
+      });
+      expect(first.timestamp).toBeGreaterThanOrEqual(before);
+      expect(second.id).not.toBe(first.id);
+      expect(second.source).toBeNull();
+      expect(Object.isFrozen(first)).toBe(true);
+    });
+
+    test('link emissions made by listeners to their cause', () => {
+      const envelopes = {};
+      hub.onAny('recorder', (eventName, data, event) => (envelopes[eventName] = event.envelope));
+      hub.on('form:submit', 'save', () => hub.emit('data:updated', {}));
+      hub.on('data:updated', 'notify', () => hub.emit('toast:show', 'Saved'));
+
+      hub.emit('form:submit', {});
+
+      const submit = envelopes['form:submit'];
+      expect(envelopes['data:updated']).toMatchObject({ causationId: submit.id, correlationId: submit.id });
+      expect(envelopes['toast:show']).toMatchObject({
+        causationId: envelopes['data:updated'].id,
+        correlationId: submit.id,
+      });
+    });
+
+    test('emissions after the dispatch start a new chain', () => {
+      const envelopes = [];
+      hub.on('data:updated', 'spy', (data, event) => envelopes.push(event.envelope));
+
+      hub.emit('form:submit', {});
+      hub.emit('data:updated', {});
+
+      expect(envelopes[0].causationId).toBeNull();
+    });
+
+    test('emitAsync links emissions made before the first await, and cause links later ones', async () => {
+      const envelopes = {};
+      hub.onAny('recorder', (eventName, data, event) => (envelopes[eventName] = event.envelope));
+      hub.on('form:submit', 'save', async (data, event) => {
+        hub.emit('data:updated', {});
+        await Promise.resolve();
+        hub.emit('toast:show', 'Saved', { cause: event.envelope });
+      });
+
+      await hub.emitAsync('form:submit', {}, { source: 'form' });
+
+      const submit = envelopes['form:submit'];
+      expect(submit.source).toBe('form');
+      expect(envelopes['data:updated'].causationId).toBe(submit.id);
+      expect(envelopes['toast:show']).toMatchObject({ causationId: submit.id, correlationId: submit.id });
+    });
+
+    test('replayed payloads keep their envelope', () => {
+      const retaining = createNexusHub(['user:login'], { envelope: true, retain: { 'user:login': true } });
+      let original;
+      retaining.on('user:login', 'first', (data, event) => (original = event.envelope));
+      retaining.emit('user:login', 'ada');
+
+      const late = jest.fn();
+      retaining.on('user:login', 'late', late);
+      expect(late.mock.calls[0][1].envelope).toBe(original);
+    });
+
+    test('scope emissions use the scope name as source', () => {
+      const callback = jest.fn();
+      const scope = hub.createScope('checkout', { bubble: true });
+      hub.on('form:submit', 'spy', callback);
+
+      scope.emit('form:submit', {});
+      scope.emit('form:submit', {}, { source: 'button' });
+
+      expect(callback.mock.calls.map(([, event]) => event.envelope.source)).toEqual(['checkout', 'button']);
+    });
+
+    test('validates options', () => {
+      expect(() => createNexusHub(['a'], { envelope: 'yes' })).toThrow('Envelope must be a boolean');
+      expect(() => hub.emit('form:submit', {}, { source: 1 })).toThrow('Source must be a string');
+      expect(() => hub.emit('form:submit', {}, { cause: 'abc' })).toThrow('Cause must be an event envelope');
+    });
+  });
+
+  describe('Dispatch modes and flush', () => {
+    test('sync dispatch runs nested emissions re-entrantly', () => {
+      const hub = createNexusHub(['form:submit', 'data:updated']);
+      const order = [];
+      hub.on('form:submit', 'first', () => {
+        order.push('submit:first');
+        hub.emit('data:updated');
+      });
+      hub.on('form:submit', 'second', () => order.push('submit:second'));
+      hub.on('data:updated', 'table', () => order.push('updated'));
+
+      hub.emit('form:submit');
+      expect(order).toEqual(['submit:first', 'updated', 'submit:second']);
+    });
+
+    test('microtask dispatch queues emissions and delivers nested ones after the current dispatch', async () => {
+      const hub = createNexusHub(['form:submit', 'data:updated'], { dispatch: 'microtask' });
+      const order = [];
+      hub.on('form:submit', 'first', () => {
+        order.push('submit:first');
+        hub.emit('data:updated');
+      });
+      hub.on('form:submit', 'second', () => order.push('submit:second'));
+      hub.on('data:updated', 'table', () => order.push('updated'));
+
+      expect(hub.emit('form:submit')).toBe(false);
+      expect(order).toEqual([]);
+
+      await Promise.resolve();
+      expect(order).toEqual(['submit:first', 'submit:second', 'updated']);
+    });
+
+    test('macrotask dispatch waits for a later task', async () => {
+      const hub = createNexusHub(['form:submit'], { dispatch: 'macrotask' });
+      const callback = jest.fn();
+      hub.on('form:submit', 'save', callback);
+
+      hub.emit('form:submit', 1);
+      await Promise.resolve();
+      expect(callback).not.toHaveBeenCalled();
+
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      expect(callback).toHaveBeenCalledWith(1, expect.any(Object));
+    });
+
+    test('the dispatch emit option overrides the hub mode', async () => {
+      const hub = createNexusHub(['form:submit'], { dispatch: 'microtask' });
+      const callback = jest.fn();
+      hub.on('form:submit', 'save', callback);
+
+      expect(hub.emit('form:submit', 1, { dispatch: 'sync' })).toBe(true);
+      expect(callback).toHaveBeenCalledTimes(1);
+
+      createNexusHub(['form:submit']).on('form:submit', 'save', callback).emit('form:submit', 2, {
+        dispatch: 'microtask',
+      });
+      expect(callback).toHaveBeenCalledTimes(1);
+      await Promise.resolve();
+      expect(callback).toHaveBeenCalledTimes(2);
+    });
+
+    test('flush delivers queued emissions in order', () => {
+      const hub = createNexusHub(['a', 'b'], { dispatch: 'macrotask' });
+      const received = [];
+      hub.onAny('spy', (eventName, data) => {
+        received.push(data);
+        if (data === 1) hub.emit('b', 3);
+      });
+
+      hub.emit('a', 1);
+      hub.emit('b', 2, { dispatch: 'microtask' });
+      expect(hub.flush()).toBe(hub);
+      expect(received).toEqual([1, 2, 3]);
+    });
+
+    test('validates deferred payloads when they are emitted', () => {
+      const hub = createNexusHub({ count: 'number', label: null }, { dispatch: 'microtask' });
+      const callback = jest.fn();
+      hub.on('count', 'spy', callback);
+
+      expect(() => hub.emit('count', 'one')).toThrow(NexusValidationError);
+      hub.flush();
+      expect(callback).not.toHaveBeenCalled();
+
+      const onValidationError = jest.fn();
+      const lenient = createNexusHub({ count: 'number' }, { dispatch: 'microtask', onValidationError });
+      expect(lenient.emit('count', 'one')).toBe(false);
+      expect(onValidationError).toHaveBeenCalledTimes(1);
+    });
+
+    test('flush throws what deferred emissions threw, after delivering all of them', () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation();
+      const hub = createNexusHub(['count', 'label'], { dispatch: 'microtask', errorPolicy: 'fail-fast' });
+      const callback = jest.fn();
+      hub.on('count', 'broken', () => {
+        throw new Error('boom');
+      });
+      hub.on('label', 'spy', callback);
+
+      hub.emit('count', 1);
+      hub.emit('label', 'ok');
+      expect(() => hub.flush()).toThrow(NexusListenerError);
+      expect(callback).toHaveBeenCalledTimes(1);
+
+      hub.emit('count', 1);
+      hub.emit('count', 2);
+      expect(() => hub.flush()).toThrow(AggregateError);
+      // flush throws the failures, so they are not logged as well
+      expect(consoleError).not.toHaveBeenCalled();
+      consoleError.mockRestore();
+    });
+
+    test('logs failures of automatically drained emissions', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const hub = createNexusHub(['count'], { dispatch: 'microtask', errorPolicy: 'fail-fast' });
+      hub.on('count', 'broken', () => {
+        throw new Error('boom');
+      });
+
+      hub.emit('count', 1);
+      await Promise.resolve();
+
+      expect(consoleError).toHaveBeenCalledWith(
+        'Error in deferred emission of event "count":',
+        expect.any(NexusListenerError)
+      );
+      consoleError.mockRestore();
+    });
+
+    test('queued emissions keep the envelope of the listener that made them', () => {
+      const hub = createNexusHub(['form:submit', 'data:updated'], { dispatch: 'microtask', envelope: true });
+      const envelopes = {};
+      hub.on('form:submit', 'save', (data, event) => {
+        envelopes.submit = event.envelope;
+        hub.emit('data:updated');
+      });
+      hub.on('data:updated', 'table', (data, event) => (envelopes.updated = event.envelope));
+
+      hub.emit('form:submit');
+      hub.flush();
+
+      expect(envelopes.updated.causationId).toBe(envelopes.submit.id);
+      expect(envelopes.updated.correlationId).toBe(envelopes.submit.correlationId);
+    });
+
+    test('unregistering an event drops its queued emissions', () => {
+      const hub = createNexusHub(['a', 'b'], { dispatch: 'microtask' });
+      hub.emit('a', 1);
+      hub.unregister(['a']);
+      expect(() => hub.flush()).not.toThrow();
+    });
+
+    test('validates the dispatch mode', () => {
+      const message = 'Dispatch mode must be one of: sync, microtask, macrotask';
+      expect(() => createNexusHub(['a'], { dispatch: 'later' })).toThrow(message);
+      expect(() => createNexusHub(['a']).emit('a', 1, { dispatch: 'async' })).toThrow(message);
+    });
+  });
+
+  describe('Batched emissions (batch)', () => {
+    let hub;
+    let received;
+
+    beforeEach(() => {
+      hub = createNexusHub(['cart:add', 'cart:total', 'cart:saved']);
+      received = [];
+      hub.onAny('spy', (eventName, data) => received.push([eventName, data]));
+    });
+
+    test('delivers emissions together once the callback returns', () => {
+      const result = hub.batch(() => {
+        expect(hub.emit('cart:add', { id: 1 })).toBe(false);
+        hub.emit('cart:total', 5);
+        expect(received).toEqual([]);
+        return 'done';
+      });
+
+      expect(result).toBe('done');
+      expect(received).toEqual([
+        ['cart:add', { id: 1 }],
+        ['cart:total', 5],
+      ]);
+    });
+
+    test('listeners never see the state in between', () => {
+      const state = { items: 0, total: 0 };
+      const seen = [];
+      hub.on('cart:add', 'check', () => seen.push({ ...state }));
+
+      hub.batch(() => {
+        state.items++;
+        hub.emit('cart:add', {});
+        state.total += 5;
+        hub.emit('cart:total', state.total);
+      });
+
+      expect(seen).toEqual([{ items: 1, total: 5 }]);
+    });
+
+    test('drops every emission if the callback throws', () => {
+      expect(() =>
+        hub.batch(() => {
+          hub.emit('cart:add', {});
+          throw new Error('sync failed');
+        })
+      ).toThrow('sync failed');
+
+      expect(received).toEqual([]);
+      hub.emit('cart:saved');
+      expect(received).toEqual([['cart:saved', undefined]]);
+    });
+
+    test('coalesces repeated emissions of an event into the last one', () => {
+      hub.batch(
+        () => {
+          hub.emit('cart:total', 1);
+          hub.emit('cart:add', 'a');
+          hub.emit('cart:total', 2);
+          hub.emit('cart:add', 'b');
+        },
+        { coalesce: true }
+      );
+
+      expect(received).toEqual([
+        ['cart:total', 2],
+        ['cart:add', 'b'],
+      ]);
+    });
+
+    test('coalesces only the listed events', () => {
+      hub.batch(
+        () => {
+          hub.emit('cart:add', 'a');
+          hub.emit('cart:total', 1);
+          hub.emit('cart:add', 'b');
+          hub.emit('cart:total', 2);
+        },
+        { coalesce: ['cart:total'] }
+      );
+
+      expect(received.map(([, data]) => data)).toEqual(['a', 'b', 2]);
+    });
+
+    test('nested batches are delivered with the outer one', () => {
+      hub.batch(() => {
+        hub.emit('cart:add', 'outer');
+        hub.batch(() => hub.emit('cart:add', 'inner'));
+        expect(received).toEqual([]);
+
+        expect(() =>
+          hub.batch(() => {
+            hub.emit('cart:add', 'discarded');
+            throw new Error('inner failed');
+          })
+        ).toThrow('inner failed');
+      });
+
+      expect(received.map(([, data]) => data)).toEqual(['outer', 'inner']);
+    });
+
+    test('emissions made by listeners during delivery are not held back', () => {
+      hub.on('cart:add', 'total', () => hub.emit('cart:total', 1));
+
+      hub.batch(() => {
+        hub.emit('cart:add', 'a');
+        hub.emit('cart:saved');
+      });
+
+      expect(received.map(([eventName]) => eventName)).toEqual(['cart:add', 'cart:total', 'cart:saved']);
+    });
+
+    test('deferred emissions are queued once the batch is delivered', async () => {
+      hub.batch(() => {
+        hub.emit('cart:add', 'later', { dispatch: 'microtask' });
+        hub.emit('cart:total', 1);
+      });
+
+      expect(received).toEqual([['cart:total', 1]]);
+      await Promise.resolve();
+      expect(received).toEqual([
+        ['cart:total', 1],
+        ['cart:add', 'later'],
+      ]);
+    });
+
+    test('an invalid payload discards the whole batch', () => {
+      const typed = createNexusHub({ 'cart:add': 'object', 'cart:total': 'number' });
+      const callback = jest.fn();
+      typed.onAny('spy', callback);
+
+      expect(() =>
+        typed.batch(() => {
+          typed.emit('cart:add', { id: 1 });
+          typed.emit('cart:total', 'NaN');
+        })
+      ).toThrow(NexusValidationError);
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('a listener failure stops delivery under fail-fast and throw-after', () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation();
+      for (const errorPolicy of ['fail-fast', 'throw-after']) {
+        const strict = createNexusHub(['a', 'b'], { errorPolicy });
+        const callback = jest.fn();
+        strict.on('a', 'broken', () => {
+          throw new Error('a failed');
+        });
+        strict.on('b', 'spy', callback);
+
+        expect(() => strict.batch(() => ['a', 'b'].forEach((name) => strict.emit(name)))).toThrow();
+        expect(callback).not.toHaveBeenCalled();
+      }
+      expect(consoleError).not.toHaveBeenCalled();
+      consoleError.mockRestore();
+    });
+
+    test('a listener failure is only reported under isolate', () => {
+      const onError = jest.fn();
+      hub.setErrorHandler(onError);
+      hub.on('cart:add', 'broken', () => {
+        throw new Error('boom');
+      });
+
+      hub.batch(() => {
+        hub.emit('cart:add', 'a');
+        hub.emit('cart:total', 1);
+      });
+
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(received.map(([eventName]) => eventName)).toEqual(['cart:add', 'cart:total']);
+    });
+
+    test('unregister drops batched emissions of the events', () => {
+      hub.batch(() => {
+        hub.emit('cart:add', 'a');
+        hub.unregister(['cart:add']);
+      });
+      expect(received).toEqual([]);
+    });
+
+    test('validates its arguments', () => {
+      expect(() => hub.batch()).toThrow('Batch callback must be a function');
+      expect(() => hub.batch(() => {}, { coalesce: 'cart:add' })).toThrow(
+        'Coalesce must be a boolean or an array of event names'
+      );
+      expect(() => hub.batch(() => {}, { coalesce: ['nope'] })).toThrow('Event "nope" is not registered');
+      expect(() =>
+        hub.batch(async () => {
+          hub.emit('cart:add', 'a');
+        })
+      ).toThrow('Batch callback must be synchronous; emissions after an await would escape the batch');
+      expect(received).toEqual([]);
+    });
+  });
+
+  describe('Rate-limited listeners (debounce, throttle and batch)', () => {
+    let hub;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      hub = createNexusHub(['data:updated', 'window:resize']);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('debounce calls the listener with the latest payload once emissions stop', () => {
+      const callback = jest.fn();
+      hub.on('window:resize', 'layout', callback, { debounce: 100 });
+
+      hub.emit('window:resize', 1);
+      jest.advanceTimersByTime(60);
+      hub.emit('window:resize', 2);
+      jest.advanceTimersByTime(99);
+      expect(callback).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith(2, expect.objectContaining({ name: 'window:resize' }));
+    });
+
+    test('throttle calls right away, then at most once per interval with the latest payload', () => {
+      const callback = jest.fn();
+      hub.on('window:resize', 'layout', callback, { throttle: 100 });
+
+      hub.emit('window:resize', 1);
+      hub.emit('window:resize', 2);
+      hub.emit('window:resize', 3);
+      expect(callback.mock.calls.map(([data]) => data)).toEqual([1]);
+
+      jest.advanceTimersByTime(100);
+      expect(callback.mock.calls.map(([data]) => data)).toEqual([1, 3]);
+
+      // Nothing came in during the second interval, so the next emission goes through right away
+      jest.advanceTimersByTime(100);
+      hub.emit('window:resize', 4);
+      expect(callback.mock.calls.map(([data]) => data)).toEqual([1, 3, 4]);
+    });
+
+    test('batch delivers arrays of payloads and events once the size is reached', () => {
+      const callback = jest.fn();
+      hub.on('data:updated', 'table', callback, { batch: { size: 3 } });
+
+      hub.emit('data:updated', 'a');
+      hub.emit('data:updated', 'b');
+      expect(callback).not.toHaveBeenCalled();
+      hub.emit('data:updated', 'c');
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      const [payloads, events] = callback.mock.calls[0];
+      expect(payloads).toEqual(['a', 'b', 'c']);
+      expect(events.map((event) => event.name)).toEqual(['data:updated', 'data:updated', 'data:updated']);
+    });
+
+    test('batch delivers after the wait, counted from the first payload', () => {
+      const callback = jest.fn();
+      hub.on('data:updated', 'table', callback, { batch: { size: 10, wait: 50 } });
+
+      hub.emit('data:updated', 'a');
+      jest.advanceTimersByTime(30);
+      hub.emit('data:updated', 'b');
+      jest.advanceTimersByTime(20);
+
+      expect(callback).toHaveBeenCalledWith(['a', 'b'], expect.any(Array));
+      jest.advanceTimersByTime(100);
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('removing a listener cancels its pending call', () => {
+      const debounced = jest.fn();
+      const batched = jest.fn();
+      hub.on('data:updated', 'chart', debounced, { debounce: 100 });
+      const unsubscribe = hub.subscribe('data:updated', 'table', batched, { batch: { wait: 100 } });
+
+      hub.emit('data:updated', 1);
+      hub.off('data:updated', 'chart');
+      unsubscribe();
+      jest.advanceTimersByTime(200);
+
+      expect(debounced).not.toHaveBeenCalled();
+      expect(batched).not.toHaveBeenCalled();
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    test('disposing a scope and re-registering an ID cancel pending calls', () => {
+      const scoped = jest.fn();
+      const replaced = jest.fn();
+      const scope = hub.createScope('panel');
+      scope.on('data:updated', 'chart', scoped, { throttle: 100 });
+      hub.on('data:updated', 'table', replaced, { debounce: 100 });
+
+      hub.emit('data:updated', 1);
+      hub.emit('data:updated', 2);
+      scope.dispose();
+      hub.on('data:updated', 'table', () => {});
+      jest.advanceTimersByTime(200);
+
+      expect(scoped.mock.calls.map(([data]) => data)).toEqual([1]);
+      expect(replaced).not.toHaveBeenCalled();
+    });
+
+    test('listeners() returns the original callback', () => {
+      const callback = () => {};
+      hub.on('data:updated', 'chart', callback, { debounce: 100 });
+      expect(hub.listeners('data:updated')).toEqual([callback]);
+    });
+
+    test('failures are reported instead of thrown', () => {
+      const onError = jest.fn();
+      const strict = createNexusHub(['data:updated'], { errorPolicy: 'fail-fast' });
+      strict.setErrorHandler(onError);
+      strict.on(
+        'data:updated',
+        'chart',
+        () => {
+          throw new Error('boom');
+        },
+        { debounce: 10 }
+      );
+
+      expect(() => strict.emit('data:updated', 1)).not.toThrow();
+      jest.advanceTimersByTime(10);
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ eventName: 'data:updated', listenerId: 'chart' }));
+    });
+
+    test('stats count the calls that actually ran', () => {
+      hub.on('data:updated', 'chart', () => {}, { debounce: 100 });
+      hub.emit('data:updated', 1);
+      hub.emit('data:updated', 2);
+      jest.advanceTimersByTime(100);
+
+      expect(hub.getStats()['data:updated'].listeners.chart.calls).toBe(1);
+    });
+
+    test('works with once and with pattern and onAny listeners', () => {
+      const once = jest.fn();
+      const pattern = jest.fn();
+      const any = jest.fn();
+      hub.once('data:updated', 'first', once, { debounce: 10 });
+      hub.on('*:*', 'pattern', pattern, { throttle: 10 });
+      hub.onAny('any', any, { debounce: 10 });
+
+      hub.emit('data:updated', 1);
+      hub.emit('data:updated', 2);
+      jest.advanceTimersByTime(10);
+
+      expect(once.mock.calls.map(([data]) => data)).toEqual([2]);
+      expect(hub.listenerCount('data:updated')).toBe(0);
+      expect(pattern.mock.calls.map(([data]) => data)).toEqual([1, 2]);
+      expect(any).toHaveBeenCalledWith('data:updated', 2, expect.any(Object));
+    });
+
+    test('once listeners stay registered until their first batch', () => {
+      const callback = jest.fn();
+      hub.subscribe('data:updated', 'first', callback, { batch: { size: 3 }, once: true });
+
+      [1, 2, 3, 4].forEach((value) => hub.emit('data:updated', value));
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback.mock.calls[0][0]).toEqual([1, 2, 3]);
+      expect(hub.listenerCount('data:updated')).toBe(0);
+    });
+
+    test('off cancels the pending call of a once listener', () => {
+      const callback = jest.fn();
+      hub.once('data:updated', 'first', callback, { debounce: 10 });
+
+      hub.emit('data:updated', 1);
+      hub.off('data:updated', 'first');
+      jest.advanceTimersByTime(10);
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('validates the options', () => {
+      const add = (options) => hub.on('data:updated', 'chart', () => {}, options);
+      expect(() => add({ debounce: 0 })).toThrow('Debounce must be a positive number');
+      expect(() => add({ throttle: '100' })).toThrow('Throttle must be a positive number');
+      expect(() => add({ debounce: 10, throttle: 10 })).toThrow('Only one of debounce, throttle and batch can be set');
+      expect(() => add({ batch: {} })).toThrow('Batch must be an object with a size, a wait, or both');
+      expect(() => add({ batch: { size: 1.5 } })).toThrow('Batch size must be a positive integer');
+      expect(() => add({ batch: { wait: -1 } })).toThrow('Batch wait must be a positive number');
+      expect(() => hub.onAny('any', () => {}, { batch: { size: 2 } })).toThrow(
+        'Batch is not supported for onAny listeners'
+      );
+      expect(hub.listenerCount()).toBe(0);
+    });
+  });
+
+  describe('Performance stats (getStats)', () => {
+    let hub;
+
+    // Block for at least `ms` milliseconds, like a listener doing too much work
+    const busyWait = (ms) => {
+      const start = performance.now();
+      while (performance.now() - start < ms) {
+        // spin
+      }
+    };
+
+    beforeEach(() => {
+      hub = createNexusHub(['data:updated', 'form:submit']);
+    });
+
+    test('counts emissions and listeners per event', () => {
+      hub.on('data:updated', 'chart', () => {});
+      hub.on('data:updated', 'table', () => {});
+      hub.emit('data:updated', 1);
+      hub.emit('data:updated', 2);
+
+      const stats = hub.getStats();
+      expect(stats['data:updated']).toMatchObject({ emits: 2, listenerCount: 2 });
+      expect(stats['form:submit']).toEqual({ emits: 0, listenerCount: 0, listeners: {} });
+      expect(stats['data:updated'].listeners.chart).toMatchObject({ calls: 2, errors: 0 });
+    });
+
+    test('times listener calls', () => {
+      hub.on('data:updated', 'slow', () => busyWait(10));
+      hub.emit('data:updated');
+      hub.emit('data:updated');
+
+      const { slow } = hub.getStats()['data:updated'].listeners;
+      expect(slow.calls).toBe(2);
+      expect(slow.maxTime).toBeGreaterThanOrEqual(10);
+      expect(slow.totalTime).toBeGreaterThanOrEqual(20);
+      expect(slow.avgTime).toBeCloseTo(slow.totalTime / 2);
+    });
+
+    test('counts listener errors', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      hub.on('data:updated', 'broken', () => {
+        throw new Error('boom');
+      });
+      hub.emit('data:updated');
+      await expect(hub.emitAsync('data:updated')).rejects.toThrow(AggregateError);
+
+      expect(hub.getStats()['data:updated'].listeners.broken).toMatchObject({ calls: 2, errors: 2 });
+      console.error.mockRestore();
+    });
+
+    test('times async listeners until they settle', async () => {
+      hub.on('data:updated', 'fetch', () => new Promise((resolve) => setTimeout(resolve, 20)));
+      await hub.emitAsync('data:updated');
+
+      expect(hub.getStats()['data:updated'].listeners.fetch.maxTime).toBeGreaterThanOrEqual(15);
+    });
+
+    test('leaves out internal listeners', async () => {
+      hub.on('data:updated', 'chart', () => {});
+      const waiting = hub.waitFor('data:updated');
+      hub.emit('data:updated');
+      await waiting;
+
+      const stats = hub.getStats()['data:updated'];
+      expect(stats.listenerCount).toBe(1);
+      expect(Object.keys(stats.listeners)).toEqual(['chart']);
+    });
+
+    test('drops the counters of removed listeners', () => {
+      hub.on('data:updated', 'chart', () => {});
+      hub.on('data:*', 'chart', () => {});
+      hub.on('form:submit', 'chart', () => {});
+      hub.once('data:updated', 'first', () => {});
+      hub.emit('data:updated');
+      hub.emit('form:submit');
+
+      hub.off('data:updated', 'chart');
+      expect(Object.keys(hub.getStats()['data:updated'].listeners)).toEqual(['chart']);
+
+      hub.off('data:*', 'chart');
+      const stats = hub.getStats();
+      expect(stats['data:updated'].listeners).toEqual({});
+      expect(stats['form:submit'].listeners.chart).toMatchObject({ calls: 1 });
+    });
+
+    test('counts listeners whose ID looks like an internal one', () => {
+      hub.on('data:updated', 'nexus:chart', () => {});
+      hub.emit('data:updated');
+
+      expect(hub.getStats()['data:updated'].listeners['nexus:chart']).toMatchObject({ calls: 1 });
+    });
+
+    test('resetStats sets counters back to zero', () => {
+      hub.on('data:updated', 'chart', () => {});
+      hub.emit('data:updated');
+
+      expect(hub.resetStats()).toBe(hub);
+      expect(hub.getStats()['data:updated']).toEqual({ emits: 0, listenerCount: 1, listeners: {} });
+    });
+
+    test('returns a snapshot', () => {
+      hub.on('data:updated', 'chart', () => {});
+      hub.emit('data:updated');
+      const before = hub.getStats();
+      hub.emit('data:updated');
+
+      expect(before['data:updated'].emits).toBe(1);
+      expect(before['data:updated'].listeners.chart.calls).toBe(1);
+    });
+
+    test('warns through the logger about listeners over the threshold', () => {
+      const logger = jest.fn();
+      const watched = createNexusHub(['data:updated'], { slowListenerThreshold: 5 }).setLogger(logger);
+      watched.on('data:updated', 'fast', () => {});
+      watched.on('data:updated', 'slow', () => busyWait(10));
+
+      watched.emit('data:updated');
+
+      expect(logger).toHaveBeenCalledTimes(1);
+      const [eventName, warning, level] = logger.mock.calls[0];
+      expect(eventName).toBe('data:updated');
+      expect(level).toBe('warn');
+      expect(warning).toMatchObject({ listenerId: 'slow', threshold: 5 });
+      expect(warning.duration).toBeGreaterThanOrEqual(10);
+      expect(warning.message).toMatch(/^Listener "slow" for event "data:updated" took \d+\.\dms \(threshold 5ms\)$/);
+    });
+
+    test('the default logger prints slow listener warnings to the console', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      hub.setSlowListenerThreshold(5);
+      hub.on('data:updated', 'slow', () => busyWait(10));
+
+      hub.emit('data:updated');
+
+      expect(warn).toHaveBeenCalledWith(
+        expect.stringMatching(/\[nexus:warn\] Listener "slow" for event "data:updated"/)
+      );
+      warn.mockRestore();
+    });
+
+    test('setSlowListenerThreshold(null) turns the warning off', () => {
+      const logger = jest.fn();
+      hub.setLogger(logger).setSlowListenerThreshold(1).setSlowListenerThreshold(null);
+      hub.on('data:updated', 'slow', () => busyWait(5));
+
+      hub.emit('data:updated');
+      expect(logger).not.toHaveBeenCalled();
+    });
+
+    test('validates the threshold', () => {
+      const message = 'Slow listener threshold must be a positive number, or null';
+      expect(() => createNexusHub(['a'], { slowListenerThreshold: 0 })).toThrow(message);
+      expect(() => hub.setSlowListenerThreshold('16')).toThrow(message);
+      expect(() => hub.setSlowListenerThreshold(-1)).toThrow(message);
+    });
+  });
+
+  describe('Payload validation', () => {
+    test('accepts an object of event names mapped to validators', () => {
+      const hub = createNexusHub({ 'user:login': { type: 'object' }, 'modal:close': null });
+      expect(hub.eventNames()).toEqual(['user:login', 'modal:close']);
+    });
+
+    test('throws for an empty event map', () => {
+      expect(() => createNexusHub({})).toThrow('At least one event name must be provided');
+    });
+
+    test('throws for malformed schemas at creation time', () => {
+      expect(() => createNexusHub({ a: { type: 'strnig' } })).toThrow('unknown type "strnig"');
+      expect(() => createNexusHub({ a: { enum: 'x' } })).toThrow('enum must be an array');
+      expect(() => createNexusHub({ a: 42 })).toThrow('expected a schema object or a type name');
+    });
+
+    test('runs predicate validators before dispatching', () => {
+      const hub = createNexusHub({ count: (n) => Number.isInteger(n) });
+      const callback = jest.fn();
+      hub.on('count', 'l1', callback);
+
+      expect(hub.emit('count', 3)).toBe(true);
+      expect(() => hub.emit('count', 'three')).toThrow(NexusValidationError);
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('reports the event and failing path for schemas', () => {
+      const hub = createNexusHub({
+        'data:updated': {
+          type: 'object',
+          shape: {
+            id: 'number',
+            status: { enum: ['draft', 'published'] },
+            tags: { type: 'array', items: 'string', required: false },
+          },
+        },
+      });
+
+      let error;
+      try {
+        hub.emit('data:updated', { id: 1, status: 'draft', tags: ['a', 2] });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(NexusValidationError);
+      expect(error.eventName).toBe('data:updated');
+      expect(error.path).toBe('$.tags[1]');
+      expect(error.message).toBe('Invalid payload for event "data:updated" at $.tags[1]: expected string, got number');
+    });
+
+    test('checks required fields and enums', () => {
+      const hub = createNexusHub({
+        save: { shape: { id: 'number', mode: { enum: ['a', 'b'] } } },
+      });
+
+      expect(() => hub.emit('save', { mode: 'a' })).toThrow('at $.id: is required');
+      expect(() => hub.emit('save', { id: 1, mode: 'c' })).toThrow('at $.mode: expected one of "a", "b"');
+      expect(() => hub.emit('save')).toThrow('at $: is required');
+      expect(() => hub.emit('save', { id: 1, mode: 'b' })).not.toThrow();
+    });
+
+    test('allows optional payloads with required: false', () => {
+      const hub = createNexusHub({ ping: { type: 'number', required: false } });
+      expect(() => hub.emit('ping')).not.toThrow();
+      expect(() => hub.emit('ping', 'x')).toThrow('expected number, got string');
+    });
+
+    test('routes invalid payloads to onValidationError instead of throwing', () => {
+      const onValidationError = jest.fn();
+      const hub = createNexusHub({ count: 'number' }, { onValidationError });
+      const callback = jest.fn();
+      hub.on('count', 'l1', callback);
+
+      expect(hub.emit('count', 'nope')).toBe(false);
+      expect(callback).not.toHaveBeenCalled();
+      expect(onValidationError).toHaveBeenCalledWith(expect.any(NexusValidationError));
+    });
+
+    test('throws for a non-function onValidationError', () => {
+      expect(() => createNexusHub(['a'], { onValidationError: 'nope' })).toThrow(
+        'onValidationError must be a function'
+      );
+    });
+  });
+
+  describe('Async emission (emitAsync)', () => {
+    let hub;
+
+    beforeEach(() => {
+      hub = createNexusHub(['save', 'load']);
+    });
+
+    test('awaits listeners and collects results by listener ID', async () => {
+      hub.on('save', 'db', async (data) => `saved ${data}`);
+      hub.on('save', 'cache', (data) => data.length);
+
+      await expect(hub.emitAsync('save', 'doc')).resolves.toEqual({ db: 'saved doc', cache: 3 });
+    });
+
+    test('resolves with an empty object when there are no listeners', async () => {
+      await expect(hub.emitAsync('load')).resolves.toEqual({});
+    });
+
+    test('runs listeners one after another in serial mode', async () => {
+      const order = [];
+      hub.on('save', 'slow', async () => {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        order.push('slow');
+      });
+      hub.on('save', 'fast', () => {
+        order.push('fast');
+      });
+
+      await hub.emitAsync('save', null, { mode: 'serial' });
+      expect(order).toEqual(['slow', 'fast']);
+    });
+
+    test('runs listeners concurrently in parallel mode', async () => {
+      const order = [];
+      hub.on('save', 'slow', async () => {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        order.push('slow');
+      });
+      hub.on('save', 'fast', () => {
+        order.push('fast');
+      });
+
+      await hub.emitAsync('save', null, { mode: 'parallel' });
+      expect(order).toEqual(['fast', 'slow']);
+    });
+
+    test('rejects with an AggregateError naming each failing listener', async () => {
+      const good = jest.fn(async () => 'ok');
+      hub.on('save', 'rejects', async () => {
+        throw new Error('disk full');
+      });
+      hub.on('save', 'good', good);
+      hub.on('save', 'throws', () => {
+        throw new Error('boom');
+      });
+
+      const error = await hub.emitAsync('save').catch((e) => e);
+
+      expect(error).toBeInstanceOf(AggregateError);
+      expect(error.message).toBe('2 listener(s) failed while emitting "save"');
+      expect(error.errors.map((e) => e.listenerId)).toEqual(['rejects', 'throws']);
+      expect(error.errors[0]).toBeInstanceOf(NexusListenerError);
+      expect(error.errors[0].cause.message).toBe('disk full');
+      expect(good).toHaveBeenCalled();
+    });
+
+    test('fails listeners that exceed the timeout', async () => {
+      hub.on('save', 'hangs', () => new Promise(() => {}));
+      hub.on('save', 'quick', async () => 1);
+
+      const error = await hub.emitAsync('save', null, { timeout: 20 }).catch((e) => e);
+
+      expect(error.errors).toHaveLength(1);
+      expect(error.errors[0].listenerId).toBe('hangs');
+      expect(error.errors[0].cause).toBeInstanceOf(NexusTimeoutError);
+    });
+
+    test('removes once listeners and returns their result', async () => {
+      hub.once('load', 'init', async () => 'ready');
+
+      await expect(hub.emitAsync('load')).resolves.toEqual({ init: 'ready' });
+      expect(hub.listenerCount('load')).toBe(0);
+    });
+
+    test('validates options and event names', async () => {
+      await expect(hub.emitAsync('invalid')).rejects.toThrow('Event "invalid" is not registered');
+      await expect(hub.emitAsync('save', null, { mode: 'race' })).rejects.toThrow(
+        'Mode must be "serial" or "parallel"'
+      );
+      await expect(hub.emitAsync('save', null, { timeout: -1 })).rejects.toThrow('Timeout must be a positive number');
+    });
+
+    test('validates payloads before awaiting listeners', async () => {
+      const typed = createNexusHub({ save: 'string' });
+      const listener = jest.fn();
+      typed.on('save', 'l1', listener);
+
+      await expect(typed.emitAsync('save', 1)).rejects.toThrow(NexusValidationError);
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Error handling', () => {
+    const failing = (message) => () => {
+      throw new Error(message);
+    };
+
+    let consoleError;
+
+    beforeEach(() => {
+      consoleError = jest.spyOn(console, 'error').mockImplementation();
+    });
+
+    afterEach(() => {
+      consoleError.mockRestore();
+    });
+
+    test('sends listener failures to the error handler instead of the console', () => {
+      const handler = jest.fn();
+      const hub = createNexusHub(['save']).setErrorHandler(handler);
+      hub.on('save', 'bad', failing('boom'));
+
+      hub.emit('save', { id: 1 });
+
+      expect(handler).toHaveBeenCalledWith({
+        eventName: 'save',
+        listenerId: 'bad',
+        error: expect.objectContaining({ message: 'boom' }),
+        data: { id: 1 },
+      });
+      expect(consoleError).not.toHaveBeenCalled();
+    });
+
+    test('removes the error handler with null', () => {
+      const handler = jest.fn();
+      const hub = createNexusHub(['save']).setErrorHandler(handler).setErrorHandler(null);
+      hub.on('save', 'bad', failing('boom'));
+
+      hub.emit('save');
+      expect(handler).not.toHaveBeenCalled();
+      expect(consoleError).toHaveBeenCalledWith('Error in listener for event "save":', expect.any(Error));
+    });
+
+    test('throws for a non-function error handler', () => {
+      expect(() => createNexusHub(['save']).setErrorHandler('nope')).toThrow(
+        'Error handler must be a function or null'
+      );
+    });
+
+    test('notifies error listeners', () => {
+      const tracker = jest.fn();
+      const hub = createNexusHub(['save', 'load']);
+      hub.onError('tracker', tracker);
+      hub.on('load', 'bad', failing('boom'));
+
+      hub.emit('load', 'x');
+      expect(tracker).toHaveBeenCalledWith(
+        expect.objectContaining({ eventName: 'load', listenerId: 'bad', data: 'x' })
+      );
+
+      hub.offError('tracker');
+      hub.emit('load', 'y');
+      expect(tracker).toHaveBeenCalledTimes(1);
+    });
+
+    test('validates error listener registration', () => {
+      const hub = createNexusHub(['save']);
+      expect(() => hub.onError('', jest.fn())).toThrow('Listener ID must be a non-empty string');
+      expect(() => hub.onError('id', null)).toThrow('Callback must be a function');
+      expect(() => hub.offError(1)).toThrow('Listener ID must be a string');
+      expect(hub.offError()).toBe(hub);
+    });
+
+    test('keeps dispatching when an error handler throws', () => {
+      const good = jest.fn();
+      const hub = createNexusHub(['save']).setErrorHandler(failing('handler broke'));
+      hub.on('save', 'bad', failing('boom'));
+      hub.on('save', 'good', good);
+
+      hub.emit('save');
+      expect(good).toHaveBeenCalled();
+      expect(consoleError).toHaveBeenCalledWith('[nexus] Error handler failed:', expect.any(Error));
+    });
+
+    test('isolate policy runs every listener and does not throw', () => {
+      const good = jest.fn();
+      const hub = createNexusHub(['save'], { errorPolicy: 'isolate' });
+      hub.on('save', 'bad', failing('boom'));
+      hub.on('save', 'good', good);
+
+      expect(hub.emit('save')).toBe(true);
+      expect(good).toHaveBeenCalled();
+    });
+
+    test('throw-after policy rethrows an AggregateError after all listeners ran', () => {
+      const good = jest.fn();
+      const hub = createNexusHub(['save'], { errorPolicy: 'throw-after' }).setErrorHandler(jest.fn());
+      hub.on('save', 'bad1', failing('one'));
+      hub.on('save', 'good', good);
+      hub.on('save', 'bad2', failing('two'));
+
+      let error;
+      try {
+        hub.emit('save');
+      } catch (e) {
+        error = e;
+      }
+
+      expect(good).toHaveBeenCalled();
+      expect(error).toBeInstanceOf(AggregateError);
+      expect(error.errors.map((e) => e.listenerId)).toEqual(['bad1', 'bad2']);
+    });
+
+    test('fail-fast policy stops at the first failure', () => {
+      const handler = jest.fn();
+      const good = jest.fn();
+      const hub = createNexusHub(['save'], { errorPolicy: 'fail-fast' }).setErrorHandler(handler);
+      hub.on('save', 'bad', failing('boom'));
+      hub.on('save', 'good', good);
+
+      expect(() => hub.emit('save')).toThrow(NexusListenerError);
+      expect(() => hub.emit('save')).toThrow('Listener "bad" failed while handling "save": boom');
+      expect(good).not.toHaveBeenCalled();
+      expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not also log failures that emit throws', () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation();
+      for (const errorPolicy of ['throw-after', 'fail-fast']) {
+        const hub = createNexusHub(['save'], { errorPolicy });
+        hub.on('save', 'bad', failing('boom'));
+        expect(() => hub.emit('save')).toThrow();
+      }
+
+      expect(consoleError).not.toHaveBeenCalled();
+      consoleError.mockRestore();
+    });
+
+    test('throws for an unknown error policy', () => {
+      expect(() => createNexusHub(['save'], { errorPolicy: 'ignore' })).toThrow(
+        'Error policy must be one of: isolate, throw-after, fail-fast'
+      );
+    });
+
+    test('reports emitAsync failures to the error handler', async () => {
+      const handler = jest.fn();
+      const hub = createNexusHub(['save']).setErrorHandler(handler);
+      hub.on('save', 'bad', async () => {
+        throw new Error('boom');
+      });
+
+      await expect(hub.emitAsync('save', 1)).rejects.toBeInstanceOf(AggregateError);
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({ eventName: 'save', listenerId: 'bad', data: 1 }));
+      expect(consoleError).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Middleware', () => {
+    let hub;
+
+    beforeEach(() => {
+      hub = createNexusHub(['data:updated', 'toast:show']);
+    });
+
+    test('runs middleware in the order they were added', () => {
+      const order = [];
+      hub.use((eventName, data, next) => {
+        order.push('first');
+        return next();
+      });
+      hub.use((eventName, data, next) => {
+        order.push('second');
+        return next();
+      });
+      hub.on('data:updated', 'l1', () => order.push('listener'));
+
+      expect(hub.emit('data:updated', 1)).toBe(true);
+      expect(order).toEqual(['first', 'second', 'listener']);
+    });
+
+    test('can transform the payload', () => {
+      const callback = jest.fn();
+      hub.use((eventName, data, next) => next({ ...data, stamped: true }));
+      hub.on('data:updated', 'l1', callback);
+
+      hub.emit('data:updated', { id: 1 });
+      expect(callback).toHaveBeenCalledWith({ id: 1, stamped: true }, expect.anything());
+    });
+
+    test('can drop an emission', () => {
+      const callback = jest.fn();
+      hub.use((eventName, data, next) => (eventName === 'toast:show' ? undefined : next()));
+      hub.on('toast:show', 'l1', callback);
+
+      expect(hub.emit('toast:show', 'hi')).toBe(false);
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('can delay an emission', async () => {
+      const callback = jest.fn();
+      hub.use(async (eventName, data, next) => {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        return next();
+      });
+      hub.on('data:updated', 'l1', callback);
+
+      expect(hub.emit('data:updated', 1)).toBe(false);
+      expect(callback).not.toHaveBeenCalled();
+
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      expect(callback).toHaveBeenCalledWith(1, expect.anything());
+    });
+
+    test('can observe the dispatch result', () => {
+      const results = [];
+      hub.use((eventName, data, next) => {
+        results.push(next());
+      });
+      hub.on('data:updated', 'l1', () => {});
+
+      hub.emit('data:updated');
+      hub.emit('toast:show');
+      expect(results).toEqual([true, false]);
+    });
+
+    test('throws when next is called twice', () => {
+      hub.use((eventName, data, next) => {
+        next();
+        next();
+      });
+      expect(() => hub.emit('data:updated')).toThrow('next() called multiple times');
+    });
+
+    test('removes middleware with unuse', () => {
+      const middleware = jest.fn((eventName, data, next) => next());
+      hub.use(middleware).unuse(middleware);
+
+      hub.emit('data:updated');
+      expect(middleware).not.toHaveBeenCalled();
+    });
+
+    test('throws for non-function middleware', () => {
+      expect(() => hub.use('nope')).toThrow('Middleware must be a function');
+    });
+
+    test('runs after built-in validation and debug logging', () => {
+      const logger = jest.fn();
+      const typed = createNexusHub({ count: 'number' });
+      const middleware = jest.fn((eventName, data, next) => next());
+      typed.setLogger(logger).setDebug(true).use(middleware);
+
+      expect(() => typed.emit('count', 'x')).toThrow(NexusValidationError);
+      expect(middleware).not.toHaveBeenCalled();
+
+      typed.emit('count', 1);
+      expect(logger).toHaveBeenCalledWith('count', 1);
+      expect(middleware).toHaveBeenCalledWith('count', 1, expect.any(Function));
+    });
+
+    test('applies to emitAsync and waits for async middleware', async () => {
+      hub.use(async (eventName, data, next) => {
+        await Promise.resolve();
+        return next(data * 2);
+      });
+      hub.on('data:updated', 'double', (n) => n);
+
+      await expect(hub.emitAsync('data:updated', 21)).resolves.toEqual({ double: 42 });
+    });
+
+    test('resolves emitAsync with no results when middleware drops the emission', async () => {
+      const callback = jest.fn();
+      hub.use(() => {});
+      hub.on('data:updated', 'l1', callback);
+
+      await expect(hub.emitAsync('data:updated')).resolves.toEqual({});
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('createLoggingMiddleware logs selected events', () => {
+      const logger = jest.fn();
+      hub.use(createLoggingMiddleware({ logger, events: ['toast:show'] }));
+
+      hub.emit('data:updated', 1);
+      hub.emit('toast:show', 'saved');
+      expect(logger).toHaveBeenCalledTimes(1);
+      expect(logger).toHaveBeenCalledWith('toast:show', 'saved');
+    });
+
+    test('createLoggingMiddleware defaults to console output', () => {
+      const consoleLog = jest.spyOn(console, 'log').mockImplementation();
+      hub.use(createLoggingMiddleware());
+
+      hub.emit('toast:show', 'saved');
+      expect(consoleLog).toHaveBeenCalledWith(expect.stringContaining('[nexus:emit] toast:show'), 'saved');
+      consoleLog.mockRestore();
+    });
+
+    test('createValidationMiddleware validates payloads at its position in the chain', () => {
+      const onValidationError = jest.fn();
+      const callback = jest.fn();
+      hub.use((eventName, data, next) => next(String(data)));
+      hub.use(createValidationMiddleware({ 'toast:show': 'string' }, { onValidationError }));
+      hub.use(createValidationMiddleware({ 'data:updated': { shape: { id: 'number' } } }));
+      hub.on('toast:show', 'l1', callback);
+
+      expect(hub.emit('toast:show', 42)).toBe(true);
+      expect(callback).toHaveBeenCalledWith('42', expect.anything());
+      expect(() => hub.emit('data:updated', { id: 1 })).toThrow('at $: expected object, got string');
+      expect(onValidationError).not.toHaveBeenCalled();
+    });
+
+    test('createValidationMiddleware routes failures to onValidationError', () => {
+      const onValidationError = jest.fn();
+      hub.use(createValidationMiddleware({ 'toast:show': 'string' }, { onValidationError }));
+
+      expect(hub.emit('toast:show', 42)).toBe(false);
+      expect(onValidationError).toHaveBeenCalledWith(expect.any(NexusValidationError));
+    });
+  });
+
   describe('Complex scenarios', () => {
     test('handles rapid subscription/unsubscription', () => {
       const hub = createNexusHub(['test']);
@@ -543,7 +3230,7 @@ describe('Nexus Event Hub', () => {
       hub.emit('event2', 'data');
 
       expect(callback1).not.toHaveBeenCalled();
-      expect(callback2).toHaveBeenCalledWith('data');
+      expect(callback2).toHaveBeenCalledWith('data', expect.objectContaining({ name: 'event2' }));
       expect(callback3).not.toHaveBeenCalled();
     });
 
@@ -558,7 +3245,7 @@ describe('Nexus Event Hub', () => {
 
       callbacks.forEach((cb) => {
         expect(cb).toHaveBeenCalledTimes(1);
-        expect(cb).toHaveBeenCalledWith('first');
+        expect(cb).toHaveBeenCalledWith('first', expect.objectContaining({ name: 'test' }));
       });
     });
   });
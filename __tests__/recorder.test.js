@@ -0,0 +1,271 @@
+/**
+ * @jest-environment node
+ */
+
+import { createNexusHub, importRecording, NexusAbortError, replayRecording } from '../src/index.js';
+
+const EVENTS = ['form:submit', 'data:updated', 'toast:show'];
+
+describe('Recording (createRecorder)', () => {
+  let hub;
+
+  beforeEach(() => {
+    hub = createNexusHub(EVENTS);
+  });
+
+  test('captures event names, payloads, timestamps and the listeners called', () => {
+    hub.on('form:submit', 'save', () => {});
+    hub.on('form:submit', 'validate', () => {}, { priority: 1 });
+    const recorder = hub.createRecorder();
+
+    const before = Date.now();
+    hub.emit('form:submit', { name: 'Ada' });
+    hub.emit('toast:show', 'Saved');
+
+    const { version, startTime, entries } = recorder.getRecording();
+    expect(version).toBe(1);
+    expect(startTime).toBeLessThanOrEqual(before);
+    expect(entries).toEqual([
+      {
+        eventName: 'form:submit',
+        data: { name: 'Ada' },
+        timestamp: expect.any(Number),
+        nested: false,
+        listeners: ['validate', 'save'],
+      },
+      { eventName: 'toast:show', data: 'Saved', timestamp: expect.any(Number), nested: false, listeners: [] },
+    ]);
+    expect(entries[0].timestamp).toBeGreaterThanOrEqual(before);
+  });
+
+  test('copies payloads, so later changes do not rewrite the recording', () => {
+    const recorder = hub.createRecorder();
+    const payload = { n: 1, at: new Date(0) };
+
+    hub.emit('data:updated', payload);
+    payload.n = 2;
+
+    expect(recorder.getRecording().entries[0].data).toEqual({ n: 1, at: '1970-01-01T00:00:00.000Z' });
+    expect(JSON.parse(recorder.export()).entries[0].data.n).toBe(1);
+  });
+
+  test('marks emissions made by listeners as nested', () => {
+    hub.on('form:submit', 'save', () => hub.emit('data:updated', {}));
+    const recorder = hub.createRecorder();
+
+    hub.emit('form:submit', {});
+
+    expect(recorder.getRecording().entries.map(({ eventName, nested }) => [eventName, nested])).toEqual([
+      ['form:submit', false],
+      ['data:updated', true],
+    ]);
+  });
+
+  test('records async emissions and leaves out internal listeners', async () => {
+    hub.on('form:submit', 'save', async () => 'ok');
+    const recorder = hub.createRecorder();
+
+    const waiting = hub.waitFor('form:submit');
+    await hub.emitAsync('form:submit', {});
+    await waiting;
+
+    expect(recorder.getRecording().entries[0].listeners).toEqual(['save']);
+  });
+
+  test('records listeners whose ID looks like an internal one', () => {
+    hub.on('form:submit', 'nexus:save', () => {});
+    const recorder = hub.createRecorder();
+
+    hub.emit('form:submit', {});
+    expect(recorder.getRecording().entries[0].listeners).toEqual(['nexus:save']);
+  });
+
+  test('records only the chosen events, converted by serialize', () => {
+    const recorder = hub.createRecorder({
+      events: ['form:submit'],
+      serialize: ({ password, ...rest }) => rest,
+    });
+
+    hub.emit('form:submit', { name: 'Ada', password: 'secret' });
+    hub.emit('toast:show', 'Saved');
+
+    expect(recorder.getRecording().entries).toEqual([expect.objectContaining({ data: { name: 'Ada' } })]);
+  });
+
+  test('stop ends recording and returns the recording', () => {
+    const recorder = hub.createRecorder();
+    hub.emit('form:submit', 1);
+
+    const recording = recorder.stop();
+    hub.emit('form:submit', 2);
+
+    expect(recorder.recording).toBe(false);
+    expect(recording.entries).toHaveLength(1);
+    expect(recorder.getRecording().entries).toHaveLength(1);
+  });
+
+  test('clear forgets what was recorded', () => {
+    const recorder = hub.createRecorder();
+    hub.emit('form:submit', 1);
+
+    expect(recorder.clear()).toBe(recorder);
+    expect(recorder.getRecording().entries).toEqual([]);
+  });
+
+  test('several recorders can record at once', () => {
+    const first = hub.createRecorder();
+    const second = hub.createRecorder({ events: ['toast:show'] });
+
+    hub.emit('form:submit', 1);
+    hub.emit('toast:show', 'Saved');
+
+    expect(first.getRecording().entries).toHaveLength(2);
+    expect(second.getRecording().entries).toHaveLength(1);
+  });
+
+  test('validates its options', () => {
+    expect(() => hub.createRecorder({ events: 'form:submit' })).toThrow('Events must be an array');
+    expect(() => hub.createRecorder({ events: ['nope'] })).toThrow('Event "nope" is not registered');
+    expect(() => hub.createRecorder({ serialize: 'json' })).toThrow('serialize must be a function');
+  });
+});
+
+describe('Export and import', () => {
+  test('round-trips a recording through JSON', () => {
+    const hub = createNexusHub(EVENTS);
+    hub.on('form:submit', 'save', () => {});
+    const recorder = hub.createRecorder();
+    hub.emit('form:submit', { name: 'Ada' });
+
+    const json = recorder.export();
+    expect(typeof json).toBe('string');
+    expect(importRecording(json)).toEqual(recorder.getRecording());
+  });
+
+  test('rejects anything that is not a recording', () => {
+    expect(() => importRecording({ version: 1, entries: [] })).toThrow('Recording must be a JSON string');
+    expect(() => importRecording('[]')).toThrow('Invalid recording: expected an object with an entries array');
+    expect(() => importRecording('{"version":2,"entries":[]}')).toThrow('Invalid recording: unsupported version 2');
+    expect(() => importRecording('{"version":1,"entries":[{"eventName":"a"}]}')).toThrow(
+      'Invalid recording: entry 0 needs an eventName, a timestamp and a listeners array'
+    );
+    expect(() => importRecording('not json')).toThrow(SyntaxError);
+  });
+});
+
+describe('Replay (replayRecording)', () => {
+  const entry = (eventName, data, timestamp, nested = false) => ({ eventName, data, timestamp, nested, listeners: [] });
+  const recording = {
+    version: 1,
+    startTime: 900,
+    entries: [
+      entry('form:submit', { name: 'Ada' }, 1000),
+      entry('data:updated', { id: 1 }, 1500, true),
+      entry('toast:show', 'Saved', 3000),
+    ],
+  };
+
+  let hub;
+  let received;
+
+  beforeEach(() => {
+    hub = createNexusHub(EVENTS);
+    received = [];
+    hub.onAny('spy', (eventName, data) => received.push([eventName, data]));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('re-emits a recorded session into a fresh hub', async () => {
+    const source = createNexusHub(EVENTS);
+    const recorder = source.createRecorder();
+    source.emit('form:submit', { name: 'Ada' });
+    source.emit('toast:show', 'Saved');
+
+    await replayRecording(hub, importRecording(recorder.export()), { speed: Infinity });
+
+    expect(received).toEqual([
+      ['form:submit', { name: 'Ada' }],
+      ['toast:show', 'Saved'],
+    ]);
+  });
+
+  test('emits everything synchronously at infinite speed', () => {
+    replayRecording(hub, recording, { speed: Infinity, skipNested: false });
+    expect(received.map(([eventName]) => eventName)).toEqual(['form:submit', 'data:updated', 'toast:show']);
+  });
+
+  test('keeps the original timing', async () => {
+    jest.useFakeTimers();
+    const done = replayRecording(hub, recording, { skipNested: false });
+
+    expect(received).toHaveLength(1);
+    jest.advanceTimersByTime(499);
+    expect(received).toHaveLength(1);
+    jest.advanceTimersByTime(1);
+    await Promise.resolve();
+    expect(received).toHaveLength(2);
+    jest.advanceTimersByTime(1500);
+    await done;
+    expect(received).toHaveLength(3);
+  });
+
+  test('speeds up playback', async () => {
+    jest.useFakeTimers();
+    const done = replayRecording(hub, recording, { speed: 2, skipNested: false });
+
+    jest.advanceTimersByTime(250);
+    await Promise.resolve();
+    expect(received).toHaveLength(2);
+    jest.advanceTimersByTime(750);
+    await done;
+    expect(received).toHaveLength(3);
+  });
+
+  test('skips emissions that listeners made by default', async () => {
+    await replayRecording(hub, recording, { speed: Infinity });
+    expect(received.map(([eventName]) => eventName)).toEqual(['form:submit', 'toast:show']);
+  });
+
+  test('restores payloads with deserialize', async () => {
+    await replayRecording(hub, recording, {
+      speed: Infinity,
+      skipNested: false,
+      deserialize: (data, eventName) => (eventName === 'data:updated' ? { ...data, restored: true } : data),
+    });
+    expect(received[1]).toEqual(['data:updated', { id: 1, restored: true }]);
+  });
+
+  test('stops when the signal aborts', async () => {
+    jest.useFakeTimers();
+    const controller = new AbortController();
+    const done = replayRecording(hub, recording, { signal: controller.signal });
+
+    controller.abort();
+    await expect(done).rejects.toThrow(NexusAbortError);
+    expect(received).toHaveLength(1);
+  });
+
+  test('rejects with errors thrown by emit', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation();
+    const strict = createNexusHub(EVENTS, { errorPolicy: 'fail-fast' });
+    strict.on('form:submit', 'broken', () => {
+      throw new Error('boom');
+    });
+
+    await expect(replayRecording(strict, recording, { speed: Infinity })).rejects.toThrow('boom');
+    expect(consoleError).not.toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+
+  test('validates its arguments', () => {
+    expect(() => replayRecording(hub, { entries: [] })).toThrow('Invalid recording: unsupported version undefined');
+    expect(() => replayRecording(hub, recording, { speed: 0 })).toThrow('Speed must be a positive number');
+    expect(() => replayRecording(hub, recording, { deserialize: true })).toThrow('deserialize must be a function');
+    expect(() => replayRecording(createNexusHub(['form:submit']), recording)).toThrow(
+      'Event "data:updated" is not registered. Valid events: form:submit'
+    );
+  });
+});
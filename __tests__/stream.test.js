@@ -0,0 +1,252 @@
+/**
+ * @jest-environment node
+ */
+
+import { createNexusHub, NexusOverflowError } from '../src/index.js';
+
+describe('Event streams (stream)', () => {
+  let hub;
+
+  beforeEach(() => {
+    hub = createNexusHub(['data:updated', 'data:deleted', 'user:login']);
+  });
+
+  test('yields payloads of future emissions in order', async () => {
+    const stream = hub.stream('data:updated');
+    hub.emit('data:updated', 1);
+    hub.emit('data:updated', 2);
+    hub.emit('data:deleted', 'ignored');
+
+    const received = [];
+    for await (const payload of stream) {
+      received.push(payload);
+      if (received.length === 2) break;
+    }
+    expect(received).toEqual([1, 2]);
+  });
+
+  test('waits for emissions when the buffer is empty', async () => {
+    const stream = hub.stream('data:updated');
+    const next = stream.next();
+
+    hub.emit('data:updated', 'late');
+    await expect(next).resolves.toEqual({ value: 'late', done: false });
+  });
+
+  test('breaking out of the loop removes the listener', async () => {
+    const stream = hub.stream('data:updated');
+
+    expect(hub.emit('data:updated', 1)).toBe(true);
+    for await (const payload of stream) {
+      expect(payload).toBe(1);
+      break;
+    }
+
+    expect(hub.emit('data:updated', 2)).toBe(false);
+    await expect(stream.next()).resolves.toEqual({ value: undefined, done: true });
+  });
+
+  test('return ends pending reads', async () => {
+    const stream = hub.stream('data:updated');
+    const next = stream.next();
+
+    await stream.return();
+    await expect(next).resolves.toEqual({ value: undefined, done: true });
+  });
+
+  test('streams several events as entries', async () => {
+    const stream = hub.stream(['data:updated', 'data:deleted']);
+    hub.emit('data:updated', 1);
+    hub.emit('data:deleted', 2);
+
+    expect((await stream.next()).value).toEqual({ eventName: 'data:updated', data: 1 });
+    expect((await stream.next()).value).toEqual({ eventName: 'data:deleted', data: 2 });
+    await stream.return();
+    expect(hub.emit('data:updated')).toBe(false);
+    expect(hub.emit('data:deleted')).toBe(false);
+  });
+
+  test('streams pattern payloads', async () => {
+    const stream = hub.stream('data:*');
+    hub.emit('data:deleted', 'x');
+    hub.emit('user:login', 'y');
+
+    expect((await stream.next()).value).toBe('x');
+    await stream.return();
+    expect(hub.emit('data:deleted')).toBe(false);
+  });
+
+  test('skips retained payloads', async () => {
+    const retaining = createNexusHub(['data:updated'], { retain: { 'data:updated': 2 } });
+    retaining.emit('data:updated', 1);
+
+    const stream = retaining.stream('data:updated');
+    retaining.emit('data:updated', 2);
+
+    expect((await stream.next()).value).toBe(2);
+    await stream.return();
+  });
+
+  test('starts with retained payloads with replay', async () => {
+    const retaining = createNexusHub(['data:updated'], { retain: { 'data:updated': 2 } });
+    [1, 2, 3].forEach((value) => retaining.emit('data:updated', value));
+
+    const stream = retaining.stream('data:updated', { replay: true });
+    retaining.emit('data:updated', 4);
+
+    const received = [];
+    for await (const payload of stream) {
+      received.push(payload);
+      if (received.length === 3) break;
+    }
+    expect(received).toEqual([2, 3, 4]);
+  });
+
+  describe('overflow', () => {
+    const fill = (stream) => {
+      for (let i = 1; i <= 4; i++) {
+        hub.emit('data:updated', i);
+      }
+      return stream;
+    };
+
+    const drain = async (stream, count) => {
+      const values = [];
+      for (let i = 0; i < count; i++) {
+        values.push((await stream.next()).value);
+      }
+      return values;
+    };
+
+    test('drops the oldest values by default', async () => {
+      const stream = fill(hub.stream('data:updated', { bufferSize: 2 }));
+      expect(await drain(stream, 2)).toEqual([3, 4]);
+    });
+
+    test('drop-newest keeps the values already buffered', async () => {
+      const stream = fill(hub.stream('data:updated', { bufferSize: 2, overflow: 'drop-newest' }));
+      expect(await drain(stream, 2)).toEqual([1, 2]);
+    });
+
+    test('error delivers buffered values, then fails and removes the listener', async () => {
+      const stream = fill(hub.stream('data:updated', { bufferSize: 2, overflow: 'error' }));
+      expect(hub.emit('data:updated')).toBe(false);
+
+      expect(await drain(stream, 2)).toEqual([1, 2]);
+      const failure = stream.next();
+      await expect(failure).rejects.toThrow(NexusOverflowError);
+      await expect(failure).rejects.toMatchObject({ bufferSize: 2 });
+      await expect(stream.next()).resolves.toEqual({ value: undefined, done: true });
+    });
+
+    test('validates buffer options', () => {
+      expect(() => hub.stream('data:updated', { bufferSize: 0 })).toThrow('Buffer size must be a positive integer');
+      expect(() => hub.stream('data:updated', { bufferSize: 1.5 })).toThrow('Buffer size must be a positive integer');
+      expect(() => hub.stream('data:updated', { overflow: 'block' })).toThrow(
+        'Overflow policy must be one of: drop-oldest, drop-newest, error'
+      );
+      expect(hub.emit('data:updated')).toBe(false);
+    });
+  });
+
+  test('ends when its signal aborts', async () => {
+    const controller = new AbortController();
+    const stream = hub.stream('data:updated', { signal: controller.signal });
+    hub.emit('data:updated', 1);
+
+    controller.abort();
+    expect(hub.emit('data:updated')).toBe(false);
+
+    const received = [];
+    for await (const payload of stream) {
+      received.push(payload);
+    }
+    expect(received).toEqual([1]);
+  });
+
+  test('an already aborted signal gives an ended stream', async () => {
+    const signal = AbortSignal.abort();
+    const addEventListener = jest.spyOn(signal, 'addEventListener');
+    const stream = hub.stream('data:updated', { signal });
+    expect(addEventListener).not.toHaveBeenCalled();
+    expect(hub.emit('data:updated')).toBe(false);
+    await expect(stream.next()).resolves.toEqual({ value: undefined, done: true });
+  });
+
+  test('keeps streaming through off and clear', async () => {
+    const stream = hub.stream('data:updated');
+
+    hub.off('data:updated');
+    hub.clear();
+    hub.emit('data:updated', 1);
+
+    await expect(stream.next()).resolves.toEqual({ value: 1, done: false });
+  });
+
+  test('ends when one of its events is unregistered', async () => {
+    const stream = hub.stream(['data:updated', 'data:deleted']);
+    hub.emit('data:deleted', 'a');
+
+    hub.unregister(['data:updated']);
+    hub.emit('data:deleted', 'b');
+
+    const received = [];
+    for await (const entry of stream) {
+      received.push(entry.data);
+    }
+    expect(received).toEqual(['a']);
+    expect(hub.emit('data:deleted')).toBe(false);
+  });
+
+  test('validates arguments before subscribing', () => {
+    expect(() => hub.stream(['data:updated', 'invalid'])).toThrow('Event "invalid" is not registered');
+    expect(() => hub.stream([])).toThrow('At least one event name must be provided');
+    expect(() => hub.stream('data:updated', { signal: {} })).toThrow('Signal must be an AbortSignal');
+    expect(hub.emit('data:updated')).toBe(false);
+  });
+
+  describe('toReadableStream', () => {
+    test('reads the same values through a ReadableStream', async () => {
+      const readable = hub.stream('data:updated').toReadableStream();
+      const reader = readable.getReader();
+
+      hub.emit('data:updated', 'a');
+      hub.emit('data:updated', 'b');
+
+      expect(await reader.read()).toEqual({ value: 'a', done: false });
+      expect(await reader.read()).toEqual({ value: 'b', done: false });
+    });
+
+    test('canceling the readable removes the listener', async () => {
+      const readable = hub.stream('data:updated').toReadableStream();
+      await readable.cancel();
+      expect(hub.emit('data:updated')).toBe(false);
+    });
+
+    test('pipes into other stream code', async () => {
+      const controller = new AbortController();
+      const received = [];
+      const piping = hub
+        .stream('data:updated', { signal: controller.signal })
+        .toReadableStream()
+        .pipeThrough(new TransformStream({ transform: (value, out) => out.enqueue(value * 10) }))
+        .pipeTo(new WritableStream({ write: (value) => received.push(value) }));
+
+      hub.emit('data:updated', 1);
+      hub.emit('data:updated', 2);
+      controller.abort();
+
+      await piping;
+      expect(received).toEqual([10, 20]);
+    });
+
+    test('errors the readable on overflow', async () => {
+      const reader = hub.stream('data:updated', { bufferSize: 1, overflow: 'error' }).toReadableStream().getReader();
+      hub.emit('data:updated', 1);
+      hub.emit('data:updated', 2);
+
+      expect(await reader.read()).toEqual({ value: 1, done: false });
+      await expect(reader.read()).rejects.toThrow(NexusOverflowError);
+    });
+  });
+});
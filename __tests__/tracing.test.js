@@ -0,0 +1,148 @@
+/**
+ * @jest-environment node
+ */
+
+import { createMemoryExporter, createNexusHub, createTracer } from '../src/index.js';
+
+describe('Tracing (setTracer)', () => {
+  let hub;
+  let exporter;
+
+  beforeEach(() => {
+    hub = createNexusHub(['form:submit', 'data:updated', 'toast:show'], { errorPolicy: 'throw-after' });
+    exporter = createMemoryExporter();
+    hub.setTracer(createTracer({ exporter }));
+  });
+
+  const byName = (name) => exporter.getSpans().find((span) => span.name === name);
+
+  test('records a span per emission and per listener call', () => {
+    hub.on('form:submit', 'save', () => {});
+    hub.on('form:submit', 'log', () => {});
+
+    hub.emit('form:submit', {});
+
+    const emit = byName('emit form:submit');
+    expect(emit).toMatchObject({
+      parentSpanId: null,
+      attributes: { 'nexus.event': 'form:submit', 'nexus.listener_count': 2 },
+      status: { code: 0 },
+    });
+    expect(emit.duration).toBeGreaterThanOrEqual(0);
+    expect(emit.endTime).toBeGreaterThanOrEqual(emit.startTime);
+
+    for (const id of ['save', 'log']) {
+      expect(byName(`listener ${id}`)).toMatchObject({
+        traceId: emit.traceId,
+        parentSpanId: emit.spanId,
+        attributes: { 'nexus.event': 'form:submit', 'nexus.listener': id },
+      });
+    }
+  });
+
+  test('nests emissions made by listeners under the listener call', () => {
+    hub.on('form:submit', 'save', () => hub.emit('data:updated', {}));
+    hub.on('data:updated', 'notify', () => hub.emit('toast:show', 'Saved'));
+
+    hub.emit('form:submit', {});
+
+    const save = byName('listener save');
+    const updated = byName('emit data:updated');
+    const notify = byName('listener notify');
+    expect(updated.parentSpanId).toBe(save.spanId);
+    expect(byName('emit toast:show').parentSpanId).toBe(notify.spanId);
+    expect(new Set(exporter.getSpans().map((span) => span.traceId)).size).toBe(1);
+  });
+
+  test('records listener errors', () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation();
+    const failure = new Error('boom');
+    hub.on('form:submit', 'save', () => {
+      throw failure;
+    });
+
+    expect(() => hub.emit('form:submit', {})).toThrow(AggregateError);
+    // emit throws the failure, so it is not logged as well
+    expect(consoleError).not.toHaveBeenCalled();
+    consoleError.mockRestore();
+
+    expect(byName('listener save')).toMatchObject({ status: { code: 2, message: 'boom' }, error: failure });
+    expect(byName('emit form:submit').status.code).toBe(2);
+  });
+
+  test('ends async listener spans when they settle', async () => {
+    hub.on('form:submit', 'save', () => new Promise((resolve) => setTimeout(resolve, 20)));
+
+    const pending = hub.emitAsync('form:submit', {});
+    expect(exporter.getSpans()).toEqual([]);
+
+    await pending;
+    expect(byName('listener save').duration).toBeGreaterThanOrEqual(15);
+    expect(byName('emit form:submit').parentSpanId).toBeNull();
+  });
+
+  test('adds envelope ids to emission spans', () => {
+    const enveloped = createNexusHub(['form:submit'], { envelope: true }).setTracer(createTracer({ exporter }));
+    let envelope;
+    enveloped.on('form:submit', 'save', (data, event) => (envelope = event.envelope));
+
+    enveloped.emit('form:submit', {});
+
+    expect(byName('emit form:submit').attributes).toMatchObject({
+      'nexus.event_id': envelope.id,
+      'nexus.correlation_id': envelope.correlationId,
+    });
+  });
+
+  test('works with tracers shaped like the OpenTelemetry API', () => {
+    const started = [];
+    const otelTracer = {
+      startSpan: jest.fn((name, options, context) => {
+        const span = {
+          name,
+          context,
+          setAttribute: jest.fn(),
+          recordException: jest.fn(),
+          setStatus: jest.fn(),
+          end: jest.fn(),
+        };
+        started.push(span);
+        return span;
+      }),
+    };
+    hub.setTracer(otelTracer, { contextFor: (span) => ({ activeSpan: span }) });
+    hub.on('form:submit', 'save', () => {});
+
+    hub.emit('form:submit', {});
+
+    const [emit, listener] = started;
+    expect(otelTracer.startSpan).toHaveBeenCalledWith(
+      'emit form:submit',
+      { attributes: { 'nexus.event': 'form:submit' } },
+      undefined
+    );
+    expect(listener.context).toEqual({ activeSpan: emit });
+    expect(emit.setAttribute).toHaveBeenCalledWith('nexus.listener_count', 1);
+    expect(listener.end).toHaveBeenCalledTimes(1);
+    expect(emit.end).toHaveBeenCalledTimes(1);
+  });
+
+  test('setTracer(null) stops tracing', () => {
+    hub.setTracer(null);
+    hub.on('form:submit', 'save', () => {});
+    hub.emit('form:submit', {});
+    expect(exporter.getSpans()).toEqual([]);
+  });
+
+  test('the memory exporter can be reset', () => {
+    hub.emit('form:submit', {});
+    exporter.reset();
+    expect(exporter.getSpans()).toEqual([]);
+  });
+
+  test('validates its arguments', () => {
+    expect(() => hub.setTracer({})).toThrow('Tracer must have a startSpan method, or be null');
+    expect(() => hub.setTracer(createTracer({ exporter }), { contextFor: 1 })).toThrow('contextFor must be a function');
+    expect(() => createTracer({})).toThrow('Tracer requires an exporter with an export method');
+  });
+});
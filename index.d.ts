@@ -6,24 +6,1006 @@
  */
 
 /**
- * Event hub instance with strongly-typed event names
+ * Map of event names to the payload type carried by each event
  */
-export interface NexusHub<T extends string> {
-  on(eventName: T, id: string, callback: (data?: any) => void): this;
-  once(eventName: T, id: string, callback: (data?: any) => void): this;
-  off(eventName: T, id?: string): this;
-  emit(eventName: T, data?: any): boolean;
-  clear(eventName?: T): this;
-  listenerCount(eventName?: T): number;
-  listeners(eventName?: T): Function[];
-  eventNames(): T[];
-  setDebug(enabled: boolean | T[]): this;
-  setLogger(fn: (eventName: T, data: any) => void): this;
+export type EventMap = { [eventName: string]: any };
+
+/**
+ * Normalizes a hub type parameter (a union of event names or an event map) to an event map.
+ * Plain event names carry `any` payloads.
+ */
+export type EventMapOf<E extends string | EventMap> = [E] extends [string] ? { [K in E]: any } : E;
+
+/**
+ * Event names known to a hub
+ */
+export type EventName<E extends string | EventMap> = keyof EventMapOf<E> & string;
+
+/**
+ * Payload type of a single event
+ */
+export type EventPayload<E extends string | EventMap, K extends EventName<E>> = EventMapOf<E>[K];
+
+/**
+ * Wildcard pattern where `*` matches any characters, e.g. `user:*`
+ */
+export type EventPattern = `${string}*${string}`;
+
+type PatternTemplate<P extends string> = P extends `${infer Head}*${infer Rest}`
+  ? `${Head}${string}${PatternTemplate<Rest>}`
+  : P;
+
+/**
+ * Event names matched by a wildcard pattern
+ */
+export type EventsMatching<E extends string | EventMap, P extends string> = Extract<EventName<E>, PatternTemplate<P>>;
+
+/**
+ * Arguments accepted by `emit` after the event name. The payload may be omitted
+ * when the event carries `void`, `undefined` or `any`.
+ */
+export type EmitArgs<P> = undefined extends P ? [data?: P] : [data: P];
+
+/**
+ * Type names understood by payload schemas
+ */
+export type SchemaType = 'any' | 'string' | 'number' | 'boolean' | 'object' | 'array' | 'function' | 'null';
+
+/**
+ * Payload schema. Values are required unless `required: false`.
+ */
+export interface Schema {
+  type?: SchemaType | readonly SchemaType[];
+  required?: boolean;
+  enum?: readonly any[];
+  shape?: { readonly [key: string]: Schema | SchemaType };
+  items?: Schema | SchemaType;
+}
+
+/**
+ * Payload validator: a predicate, a schema, a type name, or `null` for no validation
+ */
+export type Validator = ((data: any) => boolean) | Schema | SchemaType | null;
+
+/**
+ * Event names mapped to payload validators
+ */
+export type ValidatorMap = { [eventName: string]: Validator };
+
+interface SchemaTypeMap {
+  any: any;
+  string: string;
+  number: number;
+  boolean: boolean;
+  object: { [key: string]: any };
+  array: any[];
+  function: (...args: any[]) => any;
+  null: null;
+}
+
+/** Keys of a shape whose schemas are declared with `required: false` */
+type OptionalKeys<Sh> = { [K in keyof Sh]: Sh[K] extends { required: false } ? K : never }[keyof Sh];
+
+/** Object type described by a shape, with `required: false` properties as optional keys */
+type InferShape<Sh> = {
+  -readonly [K in keyof Sh as K extends OptionalKeys<Sh> ? never : K]: Infer<Sh[K]>;
+} & { -readonly [K in keyof Sh as K extends OptionalKeys<Sh> ? K : never]?: Infer<Sh[K]> } extends infer O
+  ? { [K in keyof O]: O[K] }
+  : never;
+
+type InferType<S> = S extends { enum: readonly (infer V)[] }
+  ? V
+  : S extends { shape: infer Sh }
+    ? InferShape<Sh>
+    : S extends { items: infer I }
+      ? Infer<I>[]
+      : S extends { type: infer T }
+        ? T extends readonly (infer U)[]
+          ? SchemaTypeMap[U & SchemaType]
+          : SchemaTypeMap[T & SchemaType]
+        : any;
+
+/**
+ * Payload type described by a validator
+ */
+export type Infer<V> = V extends null | undefined
+  ? any
+  : V extends (data: any) => data is infer P
+    ? P
+    : V extends (...args: any[]) => any
+      ? any
+      : V extends SchemaType
+        ? SchemaTypeMap[V]
+        : V extends { required: false }
+          ? InferType<V> | undefined
+          : InferType<V>;
+
+/**
+ * Event map described by a validator map
+ */
+export type InferEventMap<M extends ValidatorMap> = { -readonly [K in keyof M]: Infer<M[K]> };
+
+/**
+ * Thrown when an emitted payload does not satisfy the validator declared for its event
+ */
+export class NexusValidationError extends Error {
+  constructor(eventName: string, path: string, reason: string);
+  readonly eventName: string;
+  /** Location of the failing value, e.g. `$.items[0].id` */
+  readonly path: string;
+  readonly reason: string;
+}
+
+/**
+ * Wraps an error thrown or rejected by a listener, identifying the listener that failed
+ */
+export class NexusListenerError extends Error {
+  constructor(eventName: string, listenerId: string, cause: unknown);
+  readonly eventName: string;
+  readonly listenerId: string;
+  readonly cause: unknown;
+}
+
+/**
+ * Raised when an asynchronous operation does not settle within its time limit
+ */
+export class NexusTimeoutError extends Error {
+  constructor(message: string, timeout: number);
+  /** Time limit in milliseconds */
+  readonly timeout: number;
+}
+
+/**
+ * Raised when an asynchronous operation is canceled through an AbortSignal
+ */
+export class NexusAbortError extends Error {
+  constructor(message: string, reason: unknown);
+  /** The signal's abort reason */
+  readonly reason: unknown;
+  readonly cause: unknown;
+}
+
+/**
+ * Raised when a stream receives more values than its buffer can hold under the `'error'` overflow policy
+ */
+export class NexusOverflowError extends Error {
+  constructor(message: string, bufferSize: number);
+  /** Capacity of the buffer that overflowed */
+  readonly bufferSize: number;
+}
+
+/**
+ * Context shared by all listeners of one emission
+ */
+export interface NexusEvent<K extends string = string> {
+  /** Event being dispatched */
+  readonly name: K;
+  /** Whether a listener canceled the emission */
+  readonly defaultPrevented: boolean;
+  /** Whether a listener stopped the remaining listeners from running */
+  readonly propagationStopped: boolean;
+  /** Mark the emission as canceled; `emit` then returns `false` */
+  preventDefault(): void;
+  /** Skip the listeners after this one */
+  stopPropagation(): void;
+  /** Whether this is a retained payload replayed to a late subscriber */
+  readonly replayed: boolean;
+  /** Metadata of the emission if the hub was created with `envelope: true`, otherwise `null` */
+  readonly envelope: EventEnvelope | null;
+}
+
+/**
+ * Metadata of one emission
+ */
+export interface EventEnvelope {
+  /** Unique ID of the emission */
+  readonly id: string;
+  /** When the event was emitted, in milliseconds since the epoch */
+  readonly timestamp: number;
+  /** Tag passed as the `source` emit option, or the name of the scope that emitted */
+  readonly source: string | null;
+  /** ID of the emission whose listener emitted this one */
+  readonly causationId: string | null;
+  /** ID of the first emission of the chain this one belongs to */
+  readonly correlationId: string;
+}
+
+/**
+ * Envelope metadata for `emit` and `emitAsync`
+ */
+export interface EmitOptions {
+  /** Tag identifying the emitter */
+  source?: string;
+  /**
+   * Envelope of the emission that caused this one, for emissions made after a listener awaited something.
+   * Synchronous emissions from listeners are linked automatically.
+   */
+  cause?: EventEnvelope;
+  /** When `emit` calls the listeners; defaults to the hub's `dispatch` option */
+  dispatch?: DispatchMode;
+}
+
+/**
+ * Listener for one event
+ */
+export type Listener<P, K extends string = string> = (data: P, event: NexusEvent<K>) => void;
+
+/**
+ * Dispatch ordering for a listener
+ */
+export interface ListenerOptions {
+  /** Higher priorities run first; equal priorities run in registration order (default `0`) */
+  priority?: number;
+  /** Listener ID(s) this listener must run before */
+  before?: string | string[];
+  /** Listener ID(s) this listener must run after */
+  after?: string | string[];
+  /** Remove the listener when this signal aborts; an already aborted signal adds nothing */
+  signal?: AbortSignal;
+  /** Receive payloads retained before the listener was added (default `true`) */
+  replay?: boolean;
+  /** Call the listener once emissions stop for this many milliseconds, with the latest payload */
+  debounce?: number;
+  /** Call the listener right away, then at most once per this many milliseconds with the latest payload */
+  throttle?: number;
+  /** Only with a batch listener, see `BatchListenerOptions` */
+  batch?: undefined;
+}
+
+/**
+ * When a batch listener is called; at least one of `size` and `wait` is required
+ */
+export interface BatchOptions {
+  /** Deliver as soon as this many payloads are collected */
+  size?: number;
+  /** Deliver this many milliseconds after the first payload of a batch */
+  wait?: number;
+}
+
+/**
+ * Options of a listener that receives arrays of payloads
+ */
+export interface BatchListenerOptions extends Omit<ListenerOptions, 'debounce' | 'throttle' | 'batch'> {
+  batch: BatchOptions;
+  /** Remove the listener after its first batch (`subscribe` only) */
+  once?: boolean;
+}
+
+/**
+ * Listener called with the payloads and events collected for a batch, oldest first
+ */
+export type BatchListener<P, K extends string = string> = (data: P[], events: NexusEvent<K>[]) => void;
+
+/**
+ * Options for `subscribe`
+ */
+export interface SubscribeOptions extends ListenerOptions {
+  /** Remove the listener after its first call */
+  once?: boolean;
+}
+
+declare global {
+  interface SymbolConstructor {
+    /**
+     * Declared here as well so the typings work without the `esnext.disposable` lib. At runtime, listeners,
+     * bridges and scopes only implement it where the runtime provides `Symbol.dispose`.
+     */
+    readonly dispose: unique symbol;
+  }
+}
+
+/**
+ * Removes the listener it was returned for. Also disposable, so it can be held with `using`.
+ */
+export interface Unsubscribe {
+  (): void;
+  [Symbol.dispose](): void;
+}
+
+/**
+ * Options for `emitAsync`
+ */
+export interface EmitAsyncOptions extends Omit<EmitOptions, 'dispatch'> {
+  /** Await listeners one after another or all at once (default `'parallel'`) */
+  mode?: 'serial' | 'parallel';
+  /** Time limit in milliseconds for each listener */
+  timeout?: number;
+}
+
+/**
+ * Options for `waitFor`
+ */
+export interface WaitForOptions<P = any, K extends string = string> {
+  /** Only settle on emissions it accepts */
+  filter?: (data: P, event: NexusEvent<K>) => boolean;
+  /** Time limit in milliseconds; rejects with a `NexusTimeoutError` */
+  timeout?: number;
+  /** Stop waiting when this signal aborts; rejects with a `NexusAbortError` */
+  signal?: AbortSignal;
+  /** Also settle on a payload retained before the call (default `false`) */
+  replay?: boolean;
+}
+
+/**
+ * Options for `stream`
+ */
+export interface StreamOptions {
+  /** Most values held while the consumer is busy (default `1000`) */
+  bufferSize?: number;
+  /**
+   * What to do with a value that arrives while the buffer is full (default `'drop-oldest'`):
+   * - `'drop-oldest'` - discard the oldest buffered value
+   * - `'drop-newest'` - discard the new value
+   * - `'error'` - stop listening; reading fails with a `NexusOverflowError` after the buffered values
+   */
+  overflow?: 'drop-oldest' | 'drop-newest' | 'error';
+  /** End the stream when this signal aborts */
+  signal?: AbortSignal;
+  /** Start with the payloads retained before the call (default `false`) */
+  replay?: boolean;
+}
+
+/**
+ * Async iterable over future emissions. A stream has a single consumer: iterate it once, or read it through
+ * `toReadableStream()`.
+ */
+export interface EventStream<T> extends AsyncIterableIterator<T> {
+  next(): Promise<IteratorResult<T, undefined>>;
+  /** Stop listening and discard buffered values */
+  return(value?: any): Promise<IteratorResult<T, any>>;
+  /** Read the same values through a WHATWG `ReadableStream` */
+  toReadableStream(): ReadableStream<T>;
+}
+
+/**
+ * Entry yielded when streaming several events
+ */
+export type StreamEntry<E extends string | EventMap, K extends EventName<E>> = {
+  [N in K]: { eventName: N; data: EventPayload<E, N> };
+}[K];
+
+/**
+ * Emit pipeline stage. Call `next()` to continue, `next(newData)` to transform the payload, or skip it
+ * to drop the emission. `next` returns the downstream result (the dispatch result for `emit`, a promise
+ * of listener results for `emitAsync`).
+ */
+export type Middleware<E extends string | EventMap = string> = (
+  eventName: EventName<E>,
+  data: any,
+  next: (data?: any) => any
+) => unknown;
+
+/**
+ * Options for `createLoggingMiddleware`
+ */
+export interface LoggingMiddlewareOptions {
+  /** Defaults to timestamped console output */
+  logger?: (eventName: string, data: any) => void;
+  /** Only log these events (all events if omitted) */
+  events?: string[];
+}
+
+/**
+ * Create middleware that logs emissions
+ */
+export function createLoggingMiddleware(options?: LoggingMiddlewareOptions): Middleware<any>;
+
+/**
+ * Create middleware that validates payloads at its position in the pipeline
+ */
+export function createValidationMiddleware(
+  validators: ValidatorMap,
+  options?: { onValidationError?: (error: NexusValidationError) => void }
+): Middleware<any>;
+
+/**
+ * The part of an OpenTelemetry span the hub uses
+ */
+export interface Span {
+  setAttribute(key: string, value: any): unknown;
+  recordException(error: any): void;
+  setStatus(status: { code: number; message?: string }): unknown;
+  end(): void;
+}
+
+/**
+ * The part of an OpenTelemetry tracer the hub uses; `context` is the parent context
+ */
+export interface Tracer {
+  startSpan(name: string, options?: { attributes?: Record<string, any> }, context?: any): Span;
+}
+
+/**
+ * Options for `hub.setTracer`
+ */
+export interface TracerOptions {
+  /** Turn a span into the parent context passed to `startSpan`, e.g. `trace.setSpan(context.active(), span)` */
+  contextFor?: (span: Span) => any;
+}
+
+/**
+ * Finished span as handed to exporters
+ */
+export interface SpanRecord {
+  /** `emit <event>` or `listener <id>` */
+  name: string;
+  traceId: string;
+  spanId: string;
+  parentSpanId: string | null;
+  attributes: Record<string, any>;
+  /** Milliseconds since the epoch */
+  startTime: number;
+  endTime: number;
+  /** Milliseconds */
+  duration: number;
+  status: { code: number; message?: string };
+  error?: any;
+}
+
+/**
+ * Receives finished spans
+ */
+export interface SpanExporter {
+  export(spans: SpanRecord[]): void;
+}
+
+/**
+ * Exporter that keeps finished spans in memory
+ */
+export interface MemoryExporter extends SpanExporter {
+  getSpans(): SpanRecord[];
+  reset(): void;
+}
+
+/**
+ * Create a tracer that hands finished spans to an exporter
+ */
+export function createTracer(options: { exporter: SpanExporter }): Tracer;
+
+/**
+ * Create an exporter that keeps finished spans in memory, e.g. for tests or a debug panel
+ */
+export function createMemoryExporter(): MemoryExporter;
+
+/**
+ * One emission in a recording
+ */
+export interface RecordedEmission<K extends string = string> {
+  eventName: K;
+  /** Payload as emitted, copied through JSON, or as returned by the `serialize` option if there is one */
+  data: any;
+  /** Milliseconds since the epoch */
+  timestamp: number;
+  /** Whether a listener made the emission while handling another one */
+  nested: boolean;
+  /** IDs of the listeners called, in call order */
+  listeners: string[];
+}
+
+/**
+ * Serializable log of a session
+ */
+export interface Recording<K extends string = string> {
+  version: number;
+  /** When recording started, in milliseconds since the epoch */
+  startTime: number;
+  entries: RecordedEmission<K>[];
+}
+
+/**
+ * Options for `hub.createRecorder`
+ */
+export interface RecorderOptions<K extends string = string> {
+  /** Only record these events (all events if omitted) */
+  events?: K[];
+  /** Convert a payload to a JSON-safe value, e.g. to drop personal data */
+  serialize?: (data: any, eventName: K) => any;
+}
+
+/**
+ * Records the emissions of a hub, returned by `hub.createRecorder`
+ */
+export interface Recorder<K extends string = string> {
+  /** Whether emissions are still being recorded */
+  readonly recording: boolean;
+  /** Stop recording and return what was recorded */
+  stop(): Recording<K>;
+  /** Copy of what was recorded so far */
+  getRecording(): Recording<K>;
+  /** The recording as JSON */
+  export(): string;
+  /** Forget what was recorded so far */
+  clear(): this;
+}
+
+/**
+ * Options for `replayRecording`
+ */
+export interface ReplayOptions {
+  /** Playback speed; 2 replays twice as fast, `Infinity` emits everything synchronously (default 1) */
+  speed?: number;
+  /**
+   * Leave out emissions that listeners made while handling another one, since the listeners of the hub replayed
+   * into make them again (default `true`)
+   */
+  skipNested?: boolean;
+  /** Restore a payload converted by `serialize` */
+  deserialize?: (data: any, eventName: string) => any;
+  /** Stop the replay; the promise rejects with a `NexusAbortError` */
+  signal?: AbortSignal;
+}
+
+/**
+ * Read a recording back from the JSON made by `recorder.export()`
+ */
+export function importRecording(json: string): Recording;
+
+/**
+ * Emit the entries of a recording on a hub, spaced out like they were recorded
+ */
+export function replayRecording(hub: NexusHub<any>, recording: Recording, options?: ReplayOptions): Promise<void>;
+
+/**
+ * Recipe for a derived event, passed to `hub.derive`. `R` is the payload of the derived event.
+ */
+export interface Derivation<R = any> {
+  /** Events the derived event is computed from */
+  readonly sources: string[];
+  /** Create a step with its own state, which computes the derived payload from a source emission */
+  create(): (data: any, event: NexusEvent) => R;
+}
+
+/**
+ * Emit a transformed payload for every emission of the source
+ */
+export function map<P = any, R = any>(source: string, fn: (data: P, event: NexusEvent) => R): Derivation<R>;
+
+/**
+ * Pass on the emissions of the source that the predicate accepts
+ */
+export function filter<P = any>(source: string, predicate: (data: P, event: NexusEvent) => boolean): Derivation<P>;
+
+/**
+ * Pass on the emissions of every source
+ */
+export function merge<P = any>(...sources: string[]): Derivation<P>;
+
+/**
+ * Emit the latest payload of every source, keyed by event name, once each source has emitted at least once
+ */
+export function combineLatest<S extends string>(sources: S[]): Derivation<{ [K in S]: any }>;
+
+/**
+ * Options for `createBridge`
+ */
+export interface BridgeOptions<E extends string | EventMap = string> {
+  /** Events forwarded in both directions; anything else is neither sent nor accepted */
+  events: EventName<E>[];
+  /**
+   * Required for windows: the other window's origin. Outgoing messages are only delivered to it and incoming
+   * messages from any other origin are ignored. `'*'` disables the check.
+   */
+  origin?: string;
+  /** Name shared by both sides, so several bridges can use one transport (default `'default'`) */
+  channel?: string;
+  /** Convert a payload to a structured-clone-safe value before it is posted */
+  serialize?: (data: any, eventName: EventName<E>) => any;
+  /** Restore a payload converted by `serialize` */
+  deserialize?: (data: any, eventName: EventName<E>) => any;
+  /**
+   * Receives errors thrown while emitting an event received from the other side, e.g. a `NexusValidationError`
+   * (default: logged with `console.error`)
+   */
+  onError?: (error: any, eventName: EventName<E>) => void;
+}
+
+/**
+ * Options for `request` on hubs and bridges
+ */
+export interface RequestOptions {
+  /** Time limit in milliseconds; rejects with a `NexusTimeoutError` */
+  timeout?: number;
+  /** Stop waiting for the response when this signal aborts; rejects with a `NexusAbortError` */
+  signal?: AbortSignal;
+}
+
+/**
+ * Link between a hub and a hub on the other side of a postMessage target
+ */
+export interface Bridge<E extends string | EventMap = string> {
+  /** Answer requests for an event coming from the other side; one handler per event */
+  handle<K extends EventName<E>>(eventName: K, handler: (data: EventPayload<E, K>) => any): this;
+  /** Remove the handler of an event */
+  unhandle(eventName: EventName<E>): this;
+  /** Call the handler of an event on the other side and resolve with its (awaited) return value */
+  request<R = any, K extends EventName<E> = EventName<E>>(
+    eventName: K,
+    data?: EventPayload<E, K>,
+    options?: RequestOptions
+  ): Promise<R>;
+  /** Stop forwarding and listening, and reject pending requests; the transport itself is left open */
+  close(): void;
+  [Symbol.dispose](): void;
+}
+
+/**
+ * Object a bridge can post through: a window, `MessagePort`, `BroadcastChannel`, Web Worker, or anything with
+ * `postMessage` and `addEventListener`
+ */
+export interface BridgeTarget {
+  postMessage(message: any, ...rest: any[]): void;
+  addEventListener(type: 'message', listener: (event: MessageEvent) => void): void;
+  removeEventListener(type: 'message', listener: (event: MessageEvent) => void): void;
+}
+
+/**
+ * Event emitter a bridge can post through, such as a `worker_threads` Worker
+ */
+export interface BridgeEmitterTarget {
+  postMessage(message: any): void;
+  on(type: 'message', listener: (message: any) => void): unknown;
+  off(type: 'message', listener: (message: any) => void): unknown;
+}
+
+/**
+ * Link a hub to a hub on the other side of a window, frame, message port, broadcast channel or worker
+ */
+export function createBridge<E extends string | EventMap>(
+  hub: NexusHub<E>,
+  target: BridgeTarget | BridgeEmitterTarget,
+  options: BridgeOptions<E>
+): Bridge<E>;
+
+/**
+ * Listener failure passed to the error handler and error listeners
+ */
+export interface ListenerErrorReport<E extends string | EventMap = string> {
+  eventName: EventName<E>;
+  listenerId: string;
+  /** Error thrown or rejected by the listener */
+  error: unknown;
+  /** Payload the listener received */
+  data: any;
+}
+
+/**
+ * What `emit` does when listeners throw:
+ * - `'isolate'` - keep running the remaining listeners (default)
+ * - `'throw-after'` - run all listeners, then throw an `AggregateError` of `NexusListenerError`s
+ * - `'fail-fast'` - stop at the first failure and throw its `NexusListenerError`
+ */
+export type ErrorPolicy = 'isolate' | 'throw-after' | 'fail-fast';
+
+/**
+ * When `emit` calls the listeners:
+ * - `'sync'` - right away, before `emit` returns; emissions made by listeners run in the middle of the current one
+ *   (default)
+ * - `'microtask'` - queued and delivered in order on a microtask; emissions made by listeners wait their turn
+ * - `'macrotask'` - like `'microtask'`, on a later task
+ */
+export type DispatchMode = 'sync' | 'microtask' | 'macrotask';
+
+/**
+ * Hub configuration
+ */
+export interface NexusHubOptions {
+  /** Receives invalid emissions instead of `emit` throwing; the emission is dropped */
+  onValidationError?: (error: NexusValidationError) => void;
+  /** What `emit` does when listeners throw (default `'isolate'`) */
+  errorPolicy?: ErrorPolicy;
+  /**
+   * Events whose latest payload (`true`) or latest N payloads are kept and replayed to listeners added later,
+   * e.g. `{ 'user:login': true, 'chat:message': 20 }`
+   */
+  retain?: { [eventName: string]: boolean | number };
+  /** Give every emission an envelope of metadata, available as `event.envelope` (default `false`) */
+  envelope?: boolean;
+  /** Log a warning through the logger when a listener call takes longer than this many milliseconds */
+  slowListenerThreshold?: number | null;
+  /** When `emit` calls the listeners (default `'sync'`) */
+  dispatch?: DispatchMode;
+}
+
+/**
+ * Usage of one listener for one event
+ */
+export interface ListenerStats {
+  /** Times the listener was called, replays included */
+  calls: number;
+  /** Calls that threw or rejected */
+  errors: number;
+  /** Milliseconds spent in the listener; for `emitAsync`, until its promise settled */
+  totalTime: number;
+  avgTime: number;
+  maxTime: number;
+}
+
+/**
+ * Usage of one event, as reported by `getStats`
+ */
+export interface EventStats {
+  /** Emissions that made it through validation and middleware to the listeners */
+  emits: number;
+  /** Listeners currently registered for the event itself, not counting pending `waitFor` calls, streams and bridges */
+  listenerCount: number;
+  /** By listener ID, for the listeners currently registered; a listener's counters go when it is removed */
+  listeners: { [listenerId: string]: ListenerStats };
+}
+
+/**
+ * Logged with level `'warn'` when a listener call exceeds the slow listener threshold
+ */
+export interface SlowListenerWarning {
+  message: string;
+  listenerId: string;
+  /** Milliseconds the call took */
+  duration: number;
+  threshold: number;
+}
+
+/**
+ * Options for `createScope`
+ */
+export interface ScopeOptions {
+  /** Emit through the parent instead of only to the scope's own listeners (default `false`) */
+  bubble?: boolean;
+}
+
+/**
+ * Listener, emission and request methods shared by hubs and scopes
+ */
+export interface NexusHubCore<E extends string | EventMap = string> {
+  on<K extends EventName<E>>(
+    eventName: K,
+    id: string,
+    callback: Listener<EventPayload<E, K>, K>,
+    options?: ListenerOptions
+  ): this;
+  /** Subscribe with arrays of payloads, delivered by size or after a wait */
+  on<K extends EventName<E>>(
+    eventName: K,
+    id: string,
+    callback: BatchListener<EventPayload<E, K>, K>,
+    options: BatchListenerOptions
+  ): this;
+  /** Subscribe to every event matching a pattern such as `user:*` */
+  on<P extends EventPattern>(
+    pattern: P,
+    id: string,
+    callback: Listener<EventPayload<E, EventsMatching<E, P>>, EventsMatching<E, P>>,
+    options?: ListenerOptions
+  ): this;
+  on<P extends EventPattern>(
+    pattern: P,
+    id: string,
+    callback: BatchListener<EventPayload<E, EventsMatching<E, P>>, EventsMatching<E, P>>,
+    options: BatchListenerOptions
+  ): this;
+  once<K extends EventName<E>>(
+    eventName: K,
+    id: string,
+    callback: Listener<EventPayload<E, K>, K>,
+    options?: ListenerOptions
+  ): this;
+  once<P extends EventPattern>(
+    pattern: P,
+    id: string,
+    callback: Listener<EventPayload<E, EventsMatching<E, P>>, EventsMatching<E, P>>,
+    options?: ListenerOptions
+  ): this;
+  /** Subscribe to an event and get back a function that removes the listener */
+  subscribe<K extends EventName<E>>(
+    eventName: K,
+    id: string,
+    callback: Listener<EventPayload<E, K>, K>,
+    options?: SubscribeOptions
+  ): Unsubscribe;
+  subscribe<K extends EventName<E>>(
+    eventName: K,
+    id: string,
+    callback: BatchListener<EventPayload<E, K>, K>,
+    options: BatchListenerOptions
+  ): Unsubscribe;
+  subscribe<P extends EventPattern>(
+    pattern: P,
+    id: string,
+    callback: Listener<EventPayload<E, EventsMatching<E, P>>, EventsMatching<E, P>>,
+    options?: SubscribeOptions
+  ): Unsubscribe;
+  /** Subscribe to every event */
+  onAny(
+    id: string,
+    callback: <K extends EventName<E>>(eventName: K, data: EventPayload<E, K>, event: NexusEvent<K>) => void,
+    options?: ListenerOptions
+  ): this;
+  off(eventName: EventName<E> | EventPattern, id?: string): this;
+  /** Unsubscribe from every event; removes all `onAny` listeners if no ID is provided */
+  offAny(id?: string): this;
+  /** Returns `false` if there were no listeners or a listener called `event.preventDefault()` */
+  emit<K extends EventName<E>>(
+    eventName: K,
+    ...args: [...EmitArgs<EventPayload<E, K>>, options?: EmitOptions]
+  ): boolean;
+  /**
+   * Emit an event and await every listener. Resolves with results keyed by listener ID, or rejects
+   * with an `AggregateError` of `NexusListenerError`s when any listener fails.
+   */
+  emitAsync<K extends EventName<E>>(
+    eventName: K,
+    data?: EventPayload<E, K>,
+    options?: EmitAsyncOptions
+  ): Promise<Record<string, any>>;
+  /** Resolve with the payload of the next matching emission */
+  waitFor<K extends EventName<E>>(
+    eventName: K,
+    options?: WaitForOptions<EventPayload<E, K>, K>
+  ): Promise<EventPayload<E, K>>;
+  waitFor<P extends EventPattern>(
+    pattern: P,
+    options?: WaitForOptions<EventPayload<E, EventsMatching<E, P>>, EventsMatching<E, P>>
+  ): Promise<EventPayload<E, EventsMatching<E, P>>>;
+  /** Iterate over future payloads of an event with `for await`; breaking out of the loop removes the listener */
+  stream<K extends EventName<E>>(eventName: K, options?: StreamOptions): EventStream<EventPayload<E, K>>;
+  stream<P extends EventPattern>(
+    pattern: P,
+    options?: StreamOptions
+  ): EventStream<EventPayload<E, EventsMatching<E, P>>>;
+  /** Iterate over future emissions of several events as `{ eventName, data }` entries */
+  stream<K extends EventName<E>>(eventNames: K[], options?: StreamOptions): EventStream<StreamEntry<E, K>>;
+  clear(eventName?: EventName<E> | EventPattern): this;
+  /** Register the single responder for requests of an event; throws if the event already has one */
+  handle<K extends EventName<E>>(eventName: K, handler: (data: EventPayload<E, K>) => any): this;
+  /** Remove the responder of an event */
+  unhandle(eventName: EventName<E>): this;
+  /**
+   * Call the responder of an event and resolve with its (awaited) return value. Rejects when no handler is
+   * registered, the payload is invalid, the handler fails, the timeout expires or the signal aborts.
+   */
+  request<R = any, K extends EventName<E> = EventName<E>>(
+    eventName: K,
+    ...args: [...EmitArgs<EventPayload<E, K>>, options?: RequestOptions]
+  ): Promise<R>;
+  /** Latest retained payload of an event, or `undefined` if none is retained */
+  getLast<K extends EventName<E>>(eventName: K): EventPayload<E, K> | undefined;
+  listenerCount(eventName?: EventName<E> | EventPattern): number;
+  /** Listener functions in dispatch order */
+  listeners(eventName?: EventName<E> | EventPattern): Function[];
+  eventNames(): EventName<E>[];
+  /** Create a child hub for the same events whose listeners can all be removed with one `dispose()` */
+  createScope(name: string, options?: ScopeOptions): NexusScope<E>;
+}
+
+/**
+ * Child hub created with `createScope`. Its listeners are listeners of the hub, so they receive every emission
+ * of the hub; `off`, `clear`, `listenerCount` and `listeners` only see listeners added through the scope.
+ */
+export interface NexusScope<E extends string | EventMap = string> extends NexusHubCore<E> {
+  readonly name: string;
+  readonly disposed: boolean;
+  /**
+   * Remove every listener and handler added through the scope and its child scopes, reject their pending
+   * `waitFor` calls and end their streams. Other methods throw once the scope is disposed.
+   */
+  dispose(): void;
+  [Symbol.dispose](): void;
+}
+
+/**
+ * Options for `hub.batch`
+ */
+export interface BatchEmitOptions<E extends string | EventMap = string> {
+  /** Deliver only the last emission of each event, or of the listed events, in the position it was made */
+  coalesce?: boolean | EventName<E>[];
+}
+
+/**
+ * Event hub instance with strongly-typed event names and payloads
+ */
+export interface NexusHub<E extends string | EventMap = string> extends NexusHubCore<E> {
+  /** Add events at runtime, e.g. for a plugin that is loaded later; throws if an event is already registered */
+  register<N extends string>(eventNames: N[]): NexusHub<EventMapOf<E> & { [K in N]: any }>;
+  /** Add events mapped to payload validators; payload types are inferred like in `createNexusHub` */
+  register<const V extends ValidatorMap>(validators: V): NexusHub<EventMapOf<E> & InferEventMap<V>>;
+  /**
+   * Remove events along with their listeners, handler and retained payloads. Pattern and `onAny` listeners stay.
+   * Derived events computed from a removed event stop.
+   */
+  unregister<K extends EventName<E>>(eventNames: K[]): NexusHub<Omit<EventMapOf<E>, K>>;
+  /**
+   * Register an event emitted whenever a source event is, with the state the reducer folds the source payloads
+   * into. Derived emissions happen after the source's listeners ran.
+   */
+  derive<N extends string, S extends EventName<E>, R>(
+    name: N,
+    sources: S[],
+    reducer: (state: R, data: EventPayload<E, S>, event: NexusEvent<S>) => R,
+    options?: { initial?: R }
+  ): NexusHub<EventMapOf<E> & { [K in N]: R }>;
+  /** Register an event computed by a derivation such as `map(source, fn)` */
+  derive<N extends string, R>(name: N, derivation: Derivation<R>): NexusHub<EventMapOf<E> & { [K in N]: R }>;
+  /**
+   * Deliver every queued emission now, in order, along with those their listeners queue. Throws what the emissions
+   * threw, after all of them were delivered.
+   */
+  flush(): this;
+  /**
+   * Hold back the emissions the callback makes and deliver them together once it returns, so listeners never see
+   * the state in between. Payloads are validated as they are emitted. If the callback throws, its emissions are
+   * dropped; if delivering one throws, the ones after it are dropped. Returns what the callback returned.
+   */
+  batch<R>(fn: () => R, options?: BatchEmitOptions<E>): R;
+  /** Forget retained payloads of an event, or of every event if none is provided */
+  clearRetained(eventName?: EventName<E>): this;
+  setDebug(enabled: boolean | EventName<E>[]): this;
+  /** Slow listener warnings are logged with a `SlowListenerWarning` and a third argument, `'warn'` */
+  setLogger(fn: (eventName: EventName<E>, data: any, level?: 'warn') => void): this;
+  /** Add middleware to the emit pipeline; middleware run in the order they were added */
+  use(middleware: Middleware<E>): this;
+  /** Remove middleware added with `use` */
+  unuse(middleware: Middleware<E>): this;
+  /** Set the handler that receives listener failures instead of the console, or `null` to remove it */
+  setErrorHandler(fn: ((report: ListenerErrorReport<E>) => void) | null): this;
+  /** Subscribe to listener failures on any event */
+  onError(id: string, callback: (report: ListenerErrorReport<E>) => void): this;
+  /** Unsubscribe from listener failures; removes all error listeners if no ID is provided */
+  offError(id?: string): this;
+  /** Record spans for emissions and listener calls, or `null` to stop */
+  setTracer(tracer: Tracer | null, options?: TracerOptions): this;
+  /** Record emissions from now on, e.g. to attach the log to a bug report or replay it with `replayRecording` */
+  createRecorder(options?: RecorderOptions<EventName<E>>): Recorder<EventName<E>>;
+  /** Usage counters for every event: emissions, current listeners, and calls, time and failures per listener */
+  getStats(): { [K in EventName<E>]: EventStats };
+  /** Set all usage counters back to zero */
+  resetStats(): this;
+  /** Warn through the logger when a listener call takes longer than this many milliseconds, or `null` to stop */
+  setSlowListenerThreshold(threshold: number | null): this;
 }
 
 /**
  * Create a strongly-typed event hub with autocomplete for event names and runtime debugging
  */
-export function createNexusHub<T extends string>(eventNames: T[]): NexusHub<T>;
+export function createNexusHub<T extends string>(eventNames: T[], options?: NexusHubOptions): NexusHub<T>;
+
+/**
+ * Create an event hub whose payloads are typed by an event map, e.g.
+ * `createNexusHub<{ 'user:login': User; 'modal:close': void }>(['user:login', 'modal:close'])`
+ */
+export function createNexusHub<M extends EventMap>(
+  eventNames: Array<EventName<M>>,
+  options?: NexusHubOptions
+): NexusHub<M>;
+
+/**
+ * Create an event hub from event names mapped to payload validators. Payload types are
+ * inferred from schemas and type-guard predicates.
+ */
+export function createNexusHub<const V extends ValidatorMap>(
+  validators: V,
+  options?: NexusHubOptions
+): NexusHub<InferEventMap<V>>;
+
+/**
+ * Create an event hub from event names mapped to payload validators, typed by an explicit event map
+ */
+export function createNexusHub<M extends EventMap>(
+  validators: { [K in keyof M]: Validator },
+  options?: NexusHubOptions
+): NexusHub<M>;
+
+/**
+ * Create a hub with the events of several hubs, e.g. to combine the events of separate packages. Validators and
+ * `retain` settings carry over; listeners, handlers and other settings do not. Throws if two hubs declare the
+ * same event.
+ */
+export function mergeHubs<A extends string | EventMap, B extends string | EventMap>(
+  a: NexusHub<A>,
+  b: NexusHub<B>
+): NexusHub<EventMapOf<A> & EventMapOf<B>>;
+export function mergeHubs<A extends string | EventMap, B extends string | EventMap, C extends string | EventMap>(
+  a: NexusHub<A>,
+  b: NexusHub<B>,
+  c: NexusHub<C>
+): NexusHub<EventMapOf<A> & EventMapOf<B> & EventMapOf<C>>;
+export function mergeHubs(...hubs: NexusHub<any>[]): NexusHub<EventMap>;
 
 export default createNexusHub;
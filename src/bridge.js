@@ -0,0 +1,378 @@
+/**
+ * @module @vorthain/nexus/bridge
+ * @description Links hubs across windows, frames, message ports, broadcast channels and workers
+ */
+
+import { NexusAbortError, NexusTimeoutError } from './errors.js';
+import { INTERNAL, ORIGIN } from './internal.js';
+
+// Marks messages sent by a bridge, so unrelated `message` traffic is ignored
+const PROTOCOL = '@vorthain/nexus';
+
+// Counter for the IDs of the listeners bridges add to their hub
+let bridgeSequence = 0;
+
+/**
+ * @typedef {Object} BridgeOptions
+ * @property {string[]} events - Events forwarded in both directions; anything else is neither sent nor accepted
+ * @property {string} [origin] - Required for windows: the other window's origin. Outgoing messages are only
+ *   delivered to it and incoming messages from any other origin are ignored. `'*'` disables the check.
+ * @property {string} [channel='default'] - Name shared by both sides, so several bridges can use one transport
+ * @property {(data: any, eventName: string) => any} [serialize] - Convert a payload to a structured-clone-safe value
+ * @property {(data: any, eventName: string) => any} [deserialize] - Restore a payload converted by `serialize`
+ * @property {(error: any, eventName: string) => void} [onError] - Receives errors thrown while emitting an event
+ *   received from the other side, e.g. a `NexusValidationError`; they are logged with `console.error` by default
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {number} [timeout] - Time limit in milliseconds
+ * @property {AbortSignal} [signal] - Stop waiting for the response when this signal aborts
+ */
+
+/**
+ * @typedef {Object} Bridge
+ * @property {(eventName: string, handler: (data: any) => any) => Bridge} handle - Answer requests for an event
+ *   coming from the other side; one handler per event
+ * @property {(eventName: string) => Bridge} unhandle - Remove the handler of an event
+ * @property {(eventName: string, data?: any, options?: RequestOptions) => Promise<any>} request - Call the handler
+ *   of an event on the other side and resolve with its (awaited) return value
+ * @property {() => void} close - Stop forwarding and listening, and reject pending requests. The transport itself
+ *   is left open.
+ */
+
+/**
+ * @typedef {Object} Transport
+ * @property {(message: Object) => void} send
+ * @property {(handler: (message: any) => void) => () => void} listen - Returns a function that stops listening
+ */
+
+/**
+ * Adapt a postMessage target to a transport
+ * @param {any} target - Window, MessagePort, BroadcastChannel, Worker, worker_threads Worker or `parentPort`
+ * @param {string | undefined} origin
+ * @returns {Transport}
+ */
+function createTransport(target, origin) {
+  // A window is reached through its own postMessage, but its replies arrive on ours. Cross-origin windows throw
+  // on most property reads, so nothing but `window` and `postMessage` is read from a window.
+  if (target && target.window === target) {
+    if (typeof origin !== 'string' || origin === '') {
+      throw new TypeError('An origin is required to bridge to a window');
+    }
+
+    return {
+      send: (message) => target.postMessage(message, origin),
+      listen: (handler) => {
+        const onMessage = (event) => {
+          if (event.source === target && (origin === '*' || event.origin === origin)) {
+            handler(event.data);
+          }
+        };
+        globalThis.addEventListener('message', onMessage);
+        return () => globalThis.removeEventListener('message', onMessage);
+      },
+    };
+  }
+
+  const isEventTarget = target && typeof target.addEventListener === 'function';
+  const isEmitter = target && typeof target.on === 'function' && typeof target.off === 'function';
+  if (!target || typeof target.postMessage !== 'function' || !(isEventTarget || isEmitter)) {
+    throw new TypeError('Bridge target must support postMessage and addEventListener');
+  }
+
+  // worker_threads Workers are event emitters that pass the message itself to listeners
+  if (!isEventTarget) {
+    return {
+      send: (message) => target.postMessage(message),
+      listen: (handler) => {
+        target.on('message', handler);
+        return () => target.off('message', handler);
+      },
+    };
+  }
+
+  return {
+    send: (message) => target.postMessage(message),
+    listen: (handler) => {
+      const onMessage = (event) => handler(event.data);
+      target.addEventListener('message', onMessage);
+      // Ports only deliver messages to `addEventListener` listeners once started
+      if (typeof target.start === 'function') {
+        target.start();
+      }
+      return () => target.removeEventListener('message', onMessage);
+    },
+  };
+}
+
+/**
+ * Describe an error so it survives structured cloning, even when it is not an Error or holds uncloneable values
+ * @param {any} error
+ * @returns {{ name: string, message: string }}
+ */
+function toErrorInfo(error) {
+  return error instanceof Error
+    ? { name: error.name, message: error.message }
+    : { name: 'Error', message: String(error) };
+}
+
+/**
+ * Link a hub to a hub on the other side of a postMessage target. Emissions of the listed events are sent
+ * across and emitted there; emissions received from the other side are not sent back. Either side can also
+ * call a handler registered on the other side with `request`.
+ * @param {Object} hub - Hub created with `createNexusHub`
+ * @param {any} target - Window, MessagePort, BroadcastChannel, Worker, worker_threads Worker or `parentPort`
+ * @param {BridgeOptions} options
+ * @returns {Bridge}
+ * @throws {TypeError} If the target is not a postMessage target, or an origin is missing for a window
+ */
+export function createBridge(hub, target, options) {
+  if (!hub || typeof hub.subscribe !== 'function' || typeof hub.emit !== 'function') {
+    throw new TypeError('Bridge requires a hub created with createNexusHub');
+  }
+
+  const {
+    events,
+    origin,
+    channel = 'default',
+    serialize = (data) => data,
+    deserialize = (data) => data,
+    onError = (error, eventName) =>
+      console.error(`Error emitting event "${eventName}" received over the bridge:`, error),
+  } = options || {};
+
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new TypeError('Bridge events must be a non-empty array of event names');
+  }
+
+  const registered = new Set(hub.eventNames());
+  for (const eventName of events) {
+    if (!registered.has(eventName)) {
+      throw new Error(`Event "${eventName}" is not registered. Valid events: ${[...registered].join(', ')}`);
+    }
+  }
+
+  if (typeof serialize !== 'function' || typeof deserialize !== 'function') {
+    throw new TypeError('serialize and deserialize must be functions');
+  }
+
+  if (typeof onError !== 'function') {
+    throw new TypeError('onError must be a function');
+  }
+
+  const transport = createTransport(target, origin);
+  const allowed = new Set(events);
+  const id = `nexus:bridge:${bridgeSequence++}`;
+
+  let closed = false;
+
+  /**
+   * Serialize a payload and post it to the other side
+   * @param {'event' | 'request' | 'response'} type
+   * @param {string} eventName
+   * @param {any} data
+   * @param {Object} [fields] - Extra message fields
+   * @throws {TypeError} If the payload cannot be cloned
+   */
+  const post = (type, eventName, data, fields) => {
+    const message = { protocol: PROTOCOL, channel, type, eventName, ...fields, data: serialize(data, eventName) };
+    try {
+      transport.send(message);
+    } catch (error) {
+      // Typically a DataCloneError for functions, DOM nodes or class instances with private state
+      throw new TypeError(
+        `Payload of event "${eventName}" cannot be sent across the bridge: ${error && error.message}`,
+        { cause: error }
+      );
+    }
+  };
+
+  const unsubscribes = events.map((eventName) =>
+    hub.subscribe(
+      eventName,
+      id,
+      (data, event) => {
+        // Emissions received from the other side are tagged with this bridge's ID, even when delivered later
+        if (event[ORIGIN] !== id) {
+          post('event', eventName, data);
+        }
+      },
+      // Payloads retained before the bridge existed are not sent across
+      { replay: false, [INTERNAL]: true }
+    )
+  );
+
+  // Handlers answering requests from the other side, by event
+  /** @type {Map<string, (data: any) => any>} */
+  const handlers = new Map();
+
+  // Requests sent to the other side that are waiting for a response, by request ID
+  /** @type {Map<number, { eventName: string, resolve: (value: any) => void, reject: (error: any) => void }>} */
+  const pending = new Map();
+  let requestSequence = 0;
+
+  /**
+   * Check that an event can be used for requests over this bridge
+   * @param {string} eventName
+   */
+  const assertAllowed = (eventName) => {
+    if (!allowed.has(eventName)) {
+      throw new Error(`Event "${eventName}" is not bridged. Bridged events: ${events.join(', ')}`);
+    }
+  };
+
+  /**
+   * Run a local handler for a request from the other side and send back its result or failure
+   * @param {{ id: number, eventName: string, data: any }} message
+   */
+  const respond = async ({ id, eventName, data }) => {
+    try {
+      const handler = handlers.get(eventName);
+      if (!handler) {
+        throw new Error(`No handler for event "${eventName}" on the other side of the bridge`);
+      }
+      const result = await handler(deserialize(data, eventName));
+      // The bridge may have been closed while the handler ran
+      if (!closed) {
+        post('response', eventName, result, { id, ok: true });
+      }
+    } catch (error) {
+      if (!closed) {
+        transport.send({
+          protocol: PROTOCOL,
+          channel,
+          type: 'response',
+          eventName,
+          id,
+          ok: false,
+          error: toErrorInfo(error),
+        });
+      }
+    }
+  };
+
+  const stopListening = transport.listen((message) => {
+    if (!message || message.protocol !== PROTOCOL || message.channel !== channel) return;
+    if (!allowed.has(message.eventName)) return;
+
+    if (message.type === 'request') {
+      respond(message);
+      return;
+    }
+
+    if (message.type === 'response') {
+      const request = pending.get(message.id);
+      if (!request || request.eventName !== message.eventName) return;
+
+      if (message.ok) {
+        request.resolve(deserialize(message.data, message.eventName));
+      } else {
+        const error = new Error(message.error.message);
+        error.name = message.error.name;
+        request.reject(error);
+      }
+      return;
+    }
+
+    // Nothing called `emit` on this side, and a throw here would be uncaught in the transport's message handler
+    try {
+      hub.emit(message.eventName, deserialize(message.data, message.eventName), { [ORIGIN]: id });
+    } catch (error) {
+      onError(error, message.eventName);
+    }
+  });
+
+  /** @type {Bridge} */
+  const bridge = {
+    handle(eventName, handler) {
+      assertAllowed(eventName);
+      if (typeof handler !== 'function') {
+        throw new TypeError('Handler must be a function');
+      }
+      if (handlers.has(eventName)) {
+        throw new Error(`A handler for event "${eventName}" is already registered on this bridge`);
+      }
+      handlers.set(eventName, handler);
+      return bridge;
+    },
+
+    unhandle(eventName) {
+      handlers.delete(eventName);
+      return bridge;
+    },
+
+    request(eventName, data, requestOptions = {}) {
+      assertAllowed(eventName);
+
+      const { timeout, signal } = requestOptions;
+      if (timeout !== undefined && (typeof timeout !== 'number' || !(timeout > 0))) {
+        throw new TypeError('Timeout must be a positive number');
+      }
+
+      if (closed) {
+        return Promise.reject(new Error(`Bridge is closed; cannot request event "${eventName}"`));
+      }
+
+      return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+          reject(new NexusAbortError(`Request for event "${eventName}" was aborted`, signal.reason));
+          return;
+        }
+
+        const id = requestSequence++;
+        let timer;
+        const onAbort = () =>
+          settle(reject, new NexusAbortError(`Request for event "${eventName}" was aborted`, signal.reason));
+        const settle = (fn, value) => {
+          pending.delete(id);
+          clearTimeout(timer);
+          if (signal) signal.removeEventListener('abort', onAbort);
+          fn(value);
+        };
+
+        pending.set(id, {
+          eventName,
+          resolve: (value) => settle(resolve, value),
+          reject: (error) => settle(reject, error),
+        });
+
+        try {
+          post('request', eventName, data, { id });
+        } catch (error) {
+          settle(reject, error);
+          return;
+        }
+
+        if (timeout !== undefined) {
+          timer = setTimeout(() => {
+            settle(
+              reject,
+              new NexusTimeoutError(`Request for event "${eventName}" timed out after ${timeout}ms`, timeout)
+            );
+          }, timeout);
+        }
+
+        if (signal) {
+          signal.addEventListener('abort', onAbort);
+        }
+      });
+    },
+
+    close() {
+      if (closed) return;
+      closed = true;
+      stopListening();
+      for (const unsubscribe of unsubscribes) unsubscribe();
+      for (const request of pending.values()) {
+        request.reject(new Error(`Bridge was closed before event "${request.eventName}" got a response`));
+      }
+    },
+  };
+
+  if (typeof Symbol.dispose === 'symbol') {
+    bridge[Symbol.dispose] = bridge.close;
+  }
+
+  return bridge;
+}
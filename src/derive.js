@@ -0,0 +1,126 @@
+/**
+ * @module @vorthain/nexus/derive
+ * @description Combinators for derived events, which a hub emits in response to other events
+ */
+
+// Returned by a derivation step when the source emission should not produce a derived one
+export const SKIP = Symbol('nexus.skip');
+
+/**
+ * Turns a source emission into the payload of the derived event, or `SKIP`
+ * @callback DerivationStep
+ * @param {any} data - Payload of the source emission
+ * @param {Object} event - Event context of the source emission
+ * @returns {any}
+ */
+
+/**
+ * Recipe for a derived event, passed to `hub.derive`
+ * @typedef {Object} Derivation
+ * @property {string[]} sources - Events the derived event is computed from
+ * @property {() => DerivationStep} create - Create a step with its own state, once per `hub.derive` call
+ */
+
+/**
+ * Check that sources are a non-empty list of event names
+ * @param {any} sources
+ */
+function assertSources(sources) {
+  if (!Array.isArray(sources) || sources.length === 0 || sources.some((name) => typeof name !== 'string')) {
+    throw new TypeError('Sources must be a non-empty array of event names');
+  }
+}
+
+/**
+ * Check whether a value is a derivation
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isDerivation(value) {
+  return (
+    value !== null && typeof value === 'object' && Array.isArray(value.sources) && typeof value.create === 'function'
+  );
+}
+
+/**
+ * Fold emissions of the sources into a state, emitted after every source emission
+ * @param {string[]} sources
+ * @param {(state: any, data: any, event: any) => any} reducer
+ * @param {any} [initial] - State before the first emission
+ * @returns {Derivation}
+ */
+export function reduce(sources, reducer, initial) {
+  assertSources(sources);
+  if (typeof reducer !== 'function') {
+    throw new TypeError('Reducer must be a function');
+  }
+
+  return {
+    sources: [...sources],
+    create: () => {
+      let state = initial;
+      return (data, event) => (state = reducer(state, data, event));
+    },
+  };
+}
+
+/**
+ * Emit a transformed payload for every emission of the source
+ * @param {string} source
+ * @param {(data: any, event: any) => any} fn
+ * @returns {Derivation}
+ */
+export function map(source, fn) {
+  assertSources([source]);
+  if (typeof fn !== 'function') {
+    throw new TypeError('Mapper must be a function');
+  }
+
+  return { sources: [source], create: () => fn };
+}
+
+/**
+ * Pass on the emissions of the source that the predicate accepts
+ * @param {string} source
+ * @param {(data: any, event: any) => boolean} predicate
+ * @returns {Derivation}
+ */
+export function filter(source, predicate) {
+  assertSources([source]);
+  if (typeof predicate !== 'function') {
+    throw new TypeError('Predicate must be a function');
+  }
+
+  return { sources: [source], create: () => (data, event) => (predicate(data, event) ? data : SKIP) };
+}
+
+/**
+ * Pass on the emissions of every source
+ * @param {...string} sources
+ * @returns {Derivation}
+ */
+export function merge(...sources) {
+  assertSources(sources);
+  return { sources, create: () => (data) => data };
+}
+
+/**
+ * Emit the latest payload of every source, keyed by event name, once each source has emitted at least once
+ * @param {string[]} sources
+ * @returns {Derivation}
+ */
+export function combineLatest(sources) {
+  assertSources(sources);
+
+  return {
+    sources: [...sources],
+    create: () => {
+      // Null prototype, since event names become keys
+      const latest = Object.create(null);
+      return (data, event) => {
+        latest[event.name] = data;
+        return sources.every((name) => Object.prototype.hasOwnProperty.call(latest, name)) ? { ...latest } : SKIP;
+      };
+    },
+  };
+}
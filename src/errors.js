@@ -0,0 +1,89 @@
+/**
+ * @module @vorthain/nexus/errors
+ * @description Error types raised by the event hub
+ */
+
+/**
+ * Thrown when an emitted payload does not satisfy the validator declared for its event
+ */
+export class NexusValidationError extends Error {
+  /**
+   * @param {string} eventName - Event whose payload was rejected
+   * @param {string} path - Location of the failing value, e.g. `$.items[0].id`
+   * @param {string} reason - What is wrong with the value
+   */
+  constructor(eventName, path, reason) {
+    super(`Invalid payload for event "${eventName}" at ${path}: ${reason}`);
+    this.name = 'NexusValidationError';
+    this.eventName = eventName;
+    this.path = path;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Wraps an error thrown or rejected by a listener, identifying the listener that failed
+ */
+export class NexusListenerError extends Error {
+  /**
+   * @param {string} eventName - Event being dispatched
+   * @param {string} listenerId - ID of the failing listener
+   * @param {any} cause - Error thrown or rejected by the listener
+   */
+  constructor(eventName, listenerId, cause) {
+    super(
+      `Listener "${listenerId}" failed while handling "${eventName}": ${cause && cause.message ? cause.message : cause}`,
+      {
+        cause,
+      }
+    );
+    this.name = 'NexusListenerError';
+    this.eventName = eventName;
+    this.listenerId = listenerId;
+  }
+}
+
+/**
+ * Raised when an asynchronous operation does not settle within its time limit
+ */
+export class NexusTimeoutError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} timeout - Time limit in milliseconds
+   */
+  constructor(message, timeout) {
+    super(message);
+    this.name = 'NexusTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Raised when an asynchronous operation is canceled through an AbortSignal
+ */
+export class NexusAbortError extends Error {
+  /**
+   * @param {string} message
+   * @param {any} reason - The signal's abort reason
+   */
+  constructor(message, reason) {
+    super(message, { cause: reason });
+    this.name = 'NexusAbortError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Raised when a stream receives more values than its buffer can hold under the 'error' overflow policy
+ */
+export class NexusOverflowError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} bufferSize - Capacity of the buffer that overflowed
+   */
+  constructor(message, bufferSize) {
+    super(message);
+    this.name = 'NexusOverflowError';
+    this.bufferSize = bufferSize;
+  }
+}
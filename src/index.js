@@ -5,230 +5,2212 @@
  * @license MIT
  */
 
+import {
+  NexusAbortError,
+  NexusListenerError,
+  NexusOverflowError,
+  NexusTimeoutError,
+  NexusValidationError,
+} from './errors.js';
+import { createBridge } from './bridge.js';
+import { combineLatest, filter, isDerivation, map, merge, reduce, SKIP } from './derive.js';
+import { CLOSE, INTERNAL, ORIGIN } from './internal.js';
+import { createLoggingMiddleware, defaultLogger } from './middleware.js';
+import { createRecorder, importRecording, replayRecording } from './recorder.js';
+import { createScope } from './scope.js';
+import { createEventStream } from './stream.js';
+import { createRateLimiter } from './timing.js';
+import { createMemoryExporter, createTracer, now, SPAN_STATUS } from './tracing.js';
+import { checkPayload, compileValidator, createValidationMiddleware } from './validation.js';
+
+export { NexusAbortError, NexusListenerError, NexusOverflowError, NexusTimeoutError, NexusValidationError };
+export { createBridge, createLoggingMiddleware, createMemoryExporter, createTracer, createValidationMiddleware };
+export { importRecording, replayRecording };
+export { combineLatest, filter, map, merge };
+
+/**
+ * @typedef {Object} ListenerOptions
+ * @property {number} [priority=0] - Higher priorities run first; equal priorities run in registration order
+ * @property {string | string[]} [before] - Listener ID(s) this listener must run before
+ * @property {string | string[]} [after] - Listener ID(s) this listener must run after
+ * @property {AbortSignal} [signal] - Remove the listener when this signal aborts
+ * @property {boolean} [replay=true] - Receive payloads retained before the listener was added
+ * @property {number} [debounce] - Call the listener once emissions stop for this many milliseconds, with the latest
+ *   payload
+ * @property {number} [throttle] - Call the listener at most once per this many milliseconds: right away, then with
+ *   the latest payload at the end of the interval
+ * @property {BatchOptions} [batch] - Call the listener with arrays of payloads and events, once `size` payloads
+ *   are collected or `wait` milliseconds after the first one
+ */
+
+/** @typedef {import('./stream.js').StreamOptions} StreamOptions */
+/** @typedef {import('./stream.js').EventStream} EventStream */
+/** @typedef {import('./scope.js').ScopeOwner} ScopeOwner */
+/** @typedef {import('./scope.js').NexusScope} NexusScope */
+/** @typedef {import('./tracing.js').Span} Span */
+/** @typedef {import('./tracing.js').Tracer} Tracer */
+/** @typedef {import('./recorder.js').DispatchRecord} DispatchRecord */
+/** @typedef {import('./recorder.js').Recorder} Recorder */
+/** @typedef {import('./timing.js').BatchOptions} BatchOptions */
+/** @typedef {import('./timing.js').RateLimiter} RateLimiter */
+/** @typedef {import('./derive.js').Derivation} Derivation */
+/** @typedef {import('./derive.js').DerivationStep} DerivationStep */
+
+/**
+ * Removes a listener. Also implements `Symbol.dispose`, so it can be held with `using`.
+ * @callback Unsubscribe
+ * @returns {void}
+ */
+
+/**
+ * @typedef {Object} ListenerEntry
+ * @property {string} id
+ * @property {Function} callback - Listener as registered
+ * @property {Function} invoke - Function called on dispatch
+ * @property {number} priority
+ * @property {string[]} before
+ * @property {string[]} after
+ * @property {number} seq - Registration order
+ * @property {() => void} [release] - Detaches the entry from its abort signal once it is removed
+ * @property {ScopeOwner | null} owner - Scope the listener was added through, or null if it was added on the hub
+ * @property {RateLimiter | null} limiter - Set for listeners with a `debounce`, `throttle` or `batch` option
+ * @property {boolean} internal - Set for the listeners behind `waitFor`, `stream` and bridges, which `off` and
+ *   `clear` leave alone
+ * @property {((error: Error) => void) | null} close - Settles an internal listener whose event is unregistered
+ * @property {boolean} [removed] - Set once the entry is removed, so calls still in progress are not counted
+ */
+
+const ERROR_POLICIES = ['isolate', 'throw-after', 'fail-fast'];
+
+const DISPATCH_MODES = ['sync', 'microtask', 'macrotask'];
+
+/**
+ * Escape a string for literal use in a regular expression
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Validate a dispatch mode
+ * @param {any} mode
+ */
+function assertDispatchMode(mode) {
+  if (!DISPATCH_MODES.includes(mode)) {
+    throw new TypeError(`Dispatch mode must be one of: ${DISPATCH_MODES.join(', ')}`);
+  }
+}
+
+/**
+ * Run a function on a later microtask or task
+ * @param {'microtask' | 'macrotask'} mode
+ * @param {() => void} fn
+ */
+function schedule(mode, fn) {
+  if (mode === 'macrotask') {
+    setTimeout(fn, 0);
+  } else if (typeof queueMicrotask === 'function') {
+    queueMicrotask(fn);
+  } else {
+    Promise.resolve().then(fn);
+  }
+}
+
+/**
+ * Validate a slow listener threshold
+ * @param {number | null} threshold - Milliseconds, or null to turn the warning off
+ */
+function assertThreshold(threshold) {
+  if (threshold !== null && (typeof threshold !== 'number' || !(threshold > 0))) {
+    throw new TypeError('Slow listener threshold must be a positive number, or null');
+  }
+}
+
+/**
+ * Check whether a value looks like an AbortSignal. Duck-typed so signals from other realms are accepted.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isAbortSignal(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    typeof value.aborted === 'boolean' &&
+    typeof value.addEventListener === 'function' &&
+    typeof value.removeEventListener === 'function'
+  );
+}
+
+/**
+ * Read event names declared as a list, or as an object mapping event names to validators
+ * @param {string[] | Record<string, any>} declaration
+ * @returns {{ names: string[], schemaMap: Record<string, any> | null }}
+ * @throws {TypeError | Error} If the names are not a non-empty list of unique strings
+ */
+function parseEventNames(declaration) {
+  // Object form: event names mapped to validators
+  const schemaMap =
+    declaration !== null && typeof declaration === 'object' && !Array.isArray(declaration) ? declaration : null;
+  const names = schemaMap ? Object.keys(schemaMap) : declaration;
+
+  // Validate input
+  if (!Array.isArray(names)) {
+    throw new TypeError('Event names must be an array or an object of validators');
+  }
+
+  if (names.length === 0) {
+    throw new Error('At least one event name must be provided');
+  }
+
+  // Check for duplicate event names
+  const uniqueNames = new Set(names);
+  if (uniqueNames.size !== names.length) {
+    throw new Error('Duplicate event names are not allowed');
+  }
+
+  for (const name of names) {
+    if (typeof name !== 'string') {
+      throw new TypeError(`Event name must be a string, got ${typeof name}`);
+    }
+  }
+
+  return { names, schemaMap };
+}
+
+// Event vocabulary of every hub, read by `mergeHubs`
+/** @type {WeakMap<Object, { declarations: Map<string, any>, retained: Map<string, { limit: number }> }>} */
+const vocabularies = new WeakMap();
+
+/**
+ * @typedef {Object} ListenerErrorReport
+ * @property {string} eventName - Event being dispatched
+ * @property {string} listenerId - ID of the failing listener
+ * @property {any} error - Error thrown or rejected by the listener
+ * @property {any} data - Payload the listener received
+ */
+
+/**
+ * @callback Middleware
+ * @param {string} eventName - Event being emitted
+ * @param {any} data - Payload as passed on by the previous stage
+ * @param {(data?: any) => any} next - Continue the pipeline, optionally with a new payload; returns the downstream result
+ * @returns {any}
+ */
+
+/**
+ * @typedef {Object} NexusEvent
+ * @property {string} name - Event being dispatched
+ * @property {boolean} defaultPrevented - Whether a listener canceled the emission
+ * @property {boolean} propagationStopped - Whether a listener stopped the remaining listeners from running
+ * @property {() => void} preventDefault - Mark the emission as canceled
+ * @property {() => void} stopPropagation - Skip the listeners after this one
+ * @property {boolean} replayed - Whether this is a retained payload replayed to a late subscriber
+ * @property {EventEnvelope | null} envelope - Metadata of the emission, if the hub was created with `envelope: true`
+ */
+
+/**
+ * @typedef {Object} EventEnvelope
+ * @property {string} id - Unique ID of the emission
+ * @property {number} timestamp - When the event was emitted, in milliseconds since the epoch
+ * @property {string | null} source - Tag passed as the `source` emit option
+ * @property {string | null} causationId - ID of the emission whose listener emitted this one
+ * @property {string} correlationId - ID of the first emission of the chain this one belongs to
+ */
+
+/**
+ * @typedef {Object} EmitOptions
+ * @property {string} [source] - Tag identifying the emitter, recorded in the envelope
+ * @property {EventEnvelope} [cause] - Envelope of the emission that caused this one, for emissions made after a
+ *   listener awaited something. Synchronous emissions from listeners are linked automatically.
+ * @property {'sync' | 'microtask' | 'macrotask'} [dispatch] - When `emit` calls the listeners; defaults to the
+ *   hub's `dispatch` option
+ */
+
+/**
+ * Usage of one listener for one event, as reported by `getStats`
+ * @typedef {Object} ListenerStats
+ * @property {number} calls - Times the listener was called, replays included
+ * @property {number} errors - Calls that threw or rejected
+ * @property {number} totalTime - Milliseconds spent in the listener; for `emitAsync`, until its promise settled
+ * @property {number} avgTime - Milliseconds per call
+ * @property {number} maxTime - Milliseconds of the slowest call
+ */
+
+/**
+ * Usage of one event, as reported by `getStats`
+ * @typedef {Object} EventStats
+ * @property {number} emits - Emissions that made it through validation and middleware to the listeners
+ * @property {number} listenerCount - Listeners currently registered for the event itself, not counting pending
+ *   `waitFor` calls, streams and bridges
+ * @property {Record<string, ListenerStats>} listeners - By listener ID, for the listeners currently registered
+ */
+
+/**
+ * Logged as a warning when a listener call exceeds the slow listener threshold
+ * @typedef {Object} SlowListenerWarning
+ * @property {string} message
+ * @property {string} listenerId
+ * @property {number} duration - Milliseconds the call took
+ * @property {number} threshold - Milliseconds allowed
+ */
+
+/**
+ * How one emission is dispatched
+ * @typedef {Object} Emission
+ * @property {((entry: ListenerEntry) => boolean) | null} [include] - Only call the listeners it accepts
+ * @property {EventEnvelope | null} [envelope] - Envelope of the emission
+ * @property {Span | null} [span] - Span of the emission, the parent of the listener call spans
+ * @property {string | null} [origin] - Bridge the emission was received through
+ * @property {boolean} [validated] - Whether the payload was validated when the emission was queued or batched
+ */
+
+/**
+ * Emission held back by `hub.batch`
+ * @typedef {Object} BatchedEmission
+ * @property {'sync' | 'microtask' | 'macrotask'} mode - Dispatch mode it was emitted with
+ * @property {string} eventName
+ * @property {((entry: ListenerEntry) => boolean) | null} include - Set for scoped emissions
+ * @property {boolean} coalesce - Whether a later emission of the event replaces it
+ * @property {() => void} run - Deliver the emission
+ */
+
+// Fallback counter for event IDs where crypto.randomUUID is unavailable
+let eventIdSequence = 0;
+
+/**
+ * Create a unique ID for an emission
+ * @returns {string}
+ */
+function createEventId() {
+  if (globalThis.crypto && typeof globalThis.crypto.randomUUID === 'function') {
+    return globalThis.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${(eventIdSequence++).toString(36)}`;
+}
+
+/**
+ * Create the context object shared by all listeners of one emission
+ * @param {string} eventName
+ * @param {EventEnvelope | null} [envelope]
+ * @param {string | null} [origin] - Bridge the emission was received through
+ * @returns {NexusEvent}
+ */
+function createEvent(eventName, envelope = null, origin = null) {
+  const event = {
+    name: eventName,
+    defaultPrevented: false,
+    propagationStopped: false,
+    replayed: false,
+    envelope,
+    preventDefault() {
+      event.defaultPrevented = true;
+    },
+    stopPropagation() {
+      event.propagationStopped = true;
+    },
+  };
+  if (origin !== null) event[ORIGIN] = origin;
+  return event;
+}
+
 /**
  * Create a strongly-typed event hub with autocomplete for event names and runtime debugging.
  *
+ * Events can also be declared as an object mapping each event name to a payload validator:
+ * a predicate, a schema (`{ type, required, enum, shape, items }`), a type name, or `null` for none.
+ *
  * @template {string} T
- * @param {T[]} eventNames - List of allowed event names
+ * @param {T[] | Record<T, any>} eventNames - List of allowed event names, or event names mapped to validators
+ * @param {Object} [options]
+ * @param {(error: NexusValidationError) => void} [options.onValidationError] - Receives invalid emissions instead of `emit` throwing
+ * @param {'isolate' | 'throw-after' | 'fail-fast'} [options.errorPolicy='isolate'] - What `emit` does when listeners
+ *   throw: keep going, rethrow an AggregateError after all listeners ran, or stop and rethrow at the first failure
+ * @param {Record<string, boolean | number>} [options.retain] - Events whose latest payload (`true`) or latest N
+ *   payloads are kept and replayed to listeners added later
+ * @param {boolean} [options.envelope=false] - Give every emission an envelope of metadata (`event.envelope`)
+ * @param {number | null} [options.slowListenerThreshold=null] - Log a warning through the logger when a listener
+ *   call takes longer than this many milliseconds
+ * @param {'sync' | 'microtask' | 'macrotask'} [options.dispatch='sync'] - When `emit` calls the listeners: right
+ *   away, or queued and delivered in order on a later microtask or task
  * @returns {{
- *   on(eventName: T, id: string, callback: (data?: any) => void): typeof hub,
- *   once(eventName: T, id: string, callback: (data?: any) => void): typeof hub,
+ *   on(eventName: T, id: string, callback: (data?: any, event?: NexusEvent) => void, options?: ListenerOptions): typeof hub,
+ *   once(eventName: T, id: string, callback: (data?: any, event?: NexusEvent) => void, options?: ListenerOptions): typeof hub,
+ *   subscribe(eventName: T, id: string, callback: (data?: any, event?: NexusEvent) => void, options?: ListenerOptions & { once?: boolean }): Unsubscribe,
+ *   onAny(id: string, callback: (eventName: T, data?: any, event?: NexusEvent) => void, options?: ListenerOptions): typeof hub,
  *   off(eventName: T, id?: string): typeof hub,
- *   emit(eventName: T, data?: any): boolean,
+ *   offAny(id?: string): typeof hub,
+ *   emit(eventName: T, data?: any, options?: EmitOptions): boolean,
+ *   flush(): typeof hub,
+ *   batch<R>(fn: () => R, options?: { coalesce?: boolean | T[] }): R,
+ *   emitAsync(eventName: T, data?: any, options?: EmitOptions & { mode?: 'serial' | 'parallel', timeout?: number }): Promise<Record<string, any>>,
+ *   waitFor(eventName: T, options?: { filter?: (data: any, event: NexusEvent) => boolean, timeout?: number, signal?: AbortSignal, replay?: boolean }): Promise<any>,
+ *   stream(eventNames: T | T[], options?: { bufferSize?: number, overflow?: 'drop-oldest' | 'drop-newest' | 'error', signal?: AbortSignal, replay?: boolean }): EventStream,
  *   clear(eventName?: T): typeof hub,
+ *   handle(eventName: T, handler: (data: any) => any): typeof hub,
+ *   unhandle(eventName: T): typeof hub,
+ *   request(eventName: T, data?: any, options?: { timeout?: number, signal?: AbortSignal }): Promise<any>,
+ *   getLast(eventName: T): any,
+ *   clearRetained(eventName?: T): typeof hub,
+ *   createScope(name: string, options?: { bubble?: boolean }): NexusScope,
+ *   createRecorder(options?: { events?: T[], serialize?: (data: any, eventName: T) => any }): Recorder,
  *   listenerCount(eventName?: T): number,
  *   listeners(eventName?: T): Function[],
  *   eventNames(): T[],
+ *   register(names: string[] | Record<string, any>): typeof hub,
+ *   derive(name: string, sources: T[] | Derivation, reducer?: (state: any, data: any, event: NexusEvent) => any, options?: { initial?: any }): typeof hub,
+ *   unregister(names: T[]): typeof hub,
  *   setDebug(enabled: boolean | T[]): typeof hub,
- *   setLogger(fn: (eventName: T, data: any) => void): typeof hub
+ *   setLogger(fn: (eventName: T, data: any, level?: 'warn') => void): typeof hub,
+ *   setTracer(tracer: Tracer | null, options?: { contextFor?: (span: Span) => any }): typeof hub,
+ *   getStats(): Record<T, EventStats>,
+ *   resetStats(): typeof hub,
+ *   setSlowListenerThreshold(threshold: number | null): typeof hub,
+ *   use(middleware: Middleware): typeof hub,
+ *   unuse(middleware: Middleware): typeof hub,
+ *   setErrorHandler(fn: ((report: ListenerErrorReport) => void) | null): typeof hub,
+ *   onError(id: string, callback: (report: ListenerErrorReport) => void): typeof hub,
+ *   offError(id?: string): typeof hub
  * }}
  */
-export function createNexusHub(eventNames) {
-  // Validate input
-  if (!Array.isArray(eventNames)) {
-    throw new TypeError('Event names must be an array');
+export function createNexusHub(eventNames, options = {}) {
+  const declared = parseEventNames(eventNames);
+
+  // Initialize callbacks object with null prototype for security.
+  // Each event maps listener IDs to entries; Maps keep insertion order even for integer-like IDs.
+  /** @type {Record<string, Map<string, ListenerEntry>>} */
+  const callbacks = Object.create(null);
+  /** @type {Set<string>} */
+  const validEvents = new Set();
+
+  // Payload validators for events declared with a schema or predicate
+  const validators = Object.create(null);
+
+  // Validator of each event as declared (null if none), so `mergeHubs` can declare the event again
+  /** @type {Map<string, any>} */
+  const declarations = new Map();
+
+  /**
+   * Add events to the vocabulary
+   * @param {string[]} names
+   * @param {Record<string, any> | null} schemaMap - Validators by event, for the object form
+   */
+  const defineEvents = (names, schemaMap) => {
+    // Compile every validator first, so an invalid schema adds none of the events
+    const compiled = names.map((name) => (schemaMap ? compileValidator(schemaMap[name], name) : null));
+    names.forEach((name, i) => {
+      validEvents.add(name);
+      callbacks[name] = new Map();
+      declarations.set(name, schemaMap ? schemaMap[name] : null);
+      if (compiled[i]) {
+        validators[name] = compiled[i];
+      }
+    });
+  };
+
+  defineEvents(declared.names, declared.schemaMap);
+
+  const {
+    onValidationError = null,
+    errorPolicy = 'isolate',
+    retain = {},
+    envelope = false,
+    slowListenerThreshold = null,
+    dispatch: dispatchMode = 'sync',
+  } = options;
+  if (onValidationError !== null && typeof onValidationError !== 'function') {
+    throw new TypeError('onValidationError must be a function');
   }
 
-  if (eventNames.length === 0) {
-    throw new Error('At least one event name must be provided');
+  if (!ERROR_POLICIES.includes(errorPolicy)) {
+    throw new TypeError(`Error policy must be one of: ${ERROR_POLICIES.join(', ')}`);
   }
 
-  // Check for duplicate event names
-  const uniqueNames = new Set(eventNames);
-  if (uniqueNames.size !== eventNames.length) {
-    throw new Error('Duplicate event names are not allowed');
+  if (typeof envelope !== 'boolean') {
+    throw new TypeError('Envelope must be a boolean');
   }
 
-  // Initialize callbacks object with null prototype for security
-  const callbacks = Object.create(null);
-  const validEvents = new Set(eventNames);
+  assertThreshold(slowListenerThreshold);
+  assertDispatchMode(dispatchMode);
+
+  if (retain === null || typeof retain !== 'object' || Array.isArray(retain)) {
+    throw new TypeError('Retain must be an object mapping event names to replay counts');
+  }
+
+  // Payloads kept for late subscribers, for events declared in `options.retain`
+  /** @type {Map<string, { limit: number, records: Array<{ data: any, seq: number }> }>} */
+  const retained = new Map();
+  for (const [name, count] of Object.entries(retain)) {
+    if (!validEvents.has(name)) {
+      throw new Error(`Event "${name}" is not registered. Valid events: ${[...validEvents].join(', ')}`);
+    }
+    if (count === false) continue;
+
+    const limit = count === true ? 1 : count;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new TypeError(`Retain count for event "${name}" must be a boolean or a positive integer`);
+    }
+    retained.set(name, { limit, records: [] });
+  }
+
+  // Emission counter that keeps replays of several retained events in emission order
+  let emissionSequence = 0;
+
+  // Envelope of the emission whose listeners are running, which causes any emission they make
+  /** @type {EventEnvelope | null} */
+  let activeEnvelope = null;
+
+  // Tracer receiving spans for emissions and listener calls, set with `setTracer`
+  /** @type {Tracer | null} */
+  let tracer = null;
+  /** @type {(span: Span) => any} */
+  let spanContext = (span) => span;
+
+  // Span of the running listener call, the parent of the spans of emissions it makes
+  /** @type {Span | null} */
+  let activeSpan = null;
+
+  // Listener calls in progress, to tell emissions made by listeners from the others
+  let listenerDepth = 0;
+
+  // Steps of derived events, by source event, in the order they were defined
+  /** @type {Map<string, Array<{ name: string, step: DerivationStep }>>} */
+  const derivations = new Map();
+
+  // Emissions waiting for a microtask or task, in emission order
+  /** @type {Array<{ mode: 'microtask' | 'macrotask', eventName: string, run: () => void }>} */
+  const queue = [];
+
+  // Whether a drain of the queue is scheduled, per mode
+  const drainScheduled = { microtask: false, macrotask: false };
+
+  // Emissions held back by `hub.batch` until its callback returns, or null outside a batch
+  /** @type {Array<BatchedEmission> | null} */
+  let batchBuffer = null;
+
+  // Whether the innermost running batch coalesces an event
+  /** @type {(eventName: string) => boolean} */
+  let coalesces = () => false;
+
+  // Recorders told about every dispatched emission
+  /** @type {Set<(record: DispatchRecord) => void>} */
+  const recorders = new Set();
+
+  // Listener failure reporting: a single handler plus listeners of the error meta-event
+  /** @type {((report: ListenerErrorReport) => void) | null} */
+  let errorHandler = null;
+  /** @type {Map<string, (report: ListenerErrorReport) => void>} */
+  const errorListeners = new Map();
+
+  // Debug configuration
+  let debugAll = false;
+  /** @type {Set<T> | null} */
+  let debugFilter = null;
+
+  /** @type {(eventName: T, data: any, level?: 'warn') => void} */
+  let logger = defaultLogger;
+
+  // Counters behind `getStats`, by event; listener counters are dropped when their listener is removed
+  /** @type {Map<string, { emits: number, listeners: Map<string, ListenerStats> }>} */
+  const stats = new Map();
+
+  // Listener calls slower than this many milliseconds are logged as warnings
+  /** @type {number | null} */
+  let slowThreshold = slowListenerThreshold;
+
+  // Registration counter used to break priority ties in insertion order
+  let sequence = 0;
+
+  // Effective dispatch order per event, rebuilt lazily after listeners change
+  /** @type {Map<string, ListenerEntry[]>} */
+  const orderCache = new Map();
+
+  // Registered entries with before/after constraints; while there are none, no registration can create a cycle
+  /** @type {Set<ListenerEntry>} */
+  const constrainedEntries = new Set();
+
+  /**
+   * Sort listeners by priority (higher first, ties in registration order), then apply before/after constraints
+   * @param {T} eventName
+   * @param {Iterable<ListenerEntry>} entries
+   * @returns {ListenerEntry[]}
+   */
+  const sortListeners = (eventName, entries) => {
+    const base = [...entries].sort((a, b) => b.priority - a.priority || a.seq - b.seq);
+    if (!base.some((entry) => entry.before.length > 0 || entry.after.length > 0)) {
+      return base;
+    }
+
+    // Positions in priority order per ID; an event, pattern and `onAny` listener can share one
+    const positions = new Map();
+    base.forEach((entry, i) => positions.set(entry.id, [...(positions.get(entry.id) || []), i]));
+
+    // Listeners that must run before each entry, by position in priority order
+    const predecessors = base.map(() => []);
+    base.forEach((entry, i) => {
+      for (const id of entry.before) {
+        if (id === entry.id) continue;
+        for (const j of positions.get(id) || []) predecessors[j].push(i);
+      }
+      for (const id of entry.after) {
+        if (id === entry.id) continue;
+        for (const j of positions.get(id) || []) predecessors[i].push(j);
+      }
+    });
+
+    // Walk in priority order, pulling each listener's predecessors in just ahead of it
+    const state = base.map(() => 0); // 0 = pending, 1 = visiting, 2 = placed
+    const ordered = [];
+    const place = (i) => {
+      if (state[i] === 2) return;
+      if (state[i] === 1) {
+        throw new Error(`Listeners for event "${eventName}" have circular before/after constraints`);
+      }
+      state[i] = 1;
+      for (const prev of predecessors[i].sort((a, b) => a - b)) {
+        place(prev);
+      }
+      state[i] = 2;
+      ordered.push(base[i]);
+    };
+    base.forEach((_, i) => place(i));
+
+    return ordered;
+  };
+
+  // Listeners registered with a wildcard pattern (e.g. `user:*`), keyed by pattern
+  /** @type {Map<string, { matcher: RegExp, listeners: Map<string, ListenerEntry> }>} */
+  const patternCallbacks = new Map();
+
+  // Listeners registered with `onAny`
+  /** @type {Map<string, ListenerEntry>} */
+  const anyListeners = new Map();
+
+  /**
+   * Get the listeners of an event in effective dispatch order, including pattern and `onAny` listeners
+   * @param {T} eventName
+   * @returns {ListenerEntry[]}
+   */
+  const orderedListeners = (eventName) => {
+    let ordered = orderCache.get(eventName);
+    if (!ordered) {
+      const entries = [...callbacks[eventName].values()];
+      for (const { matcher, listeners } of patternCallbacks.values()) {
+        if (matcher.test(eventName)) entries.push(...listeners.values());
+      }
+      entries.push(...anyListeners.values());
+
+      ordered = sortListeners(eventName, entries);
+      orderCache.set(eventName, ordered);
+    }
+    return ordered;
+  };
+
+  /**
+   * Get the events whose dispatch order includes the listeners of a map
+   * @param {Map<string, ListenerEntry>} listeners - Map of the event, pattern or `onAny` listeners
+   * @returns {T[]}
+   */
+  const eventsReceiving = (listeners) => {
+    if (listeners === anyListeners) return [...validEvents];
+    for (const { matcher, listeners: group } of patternCallbacks.values()) {
+      if (group === listeners) return [...validEvents].filter((name) => matcher.test(name));
+    }
+    return [...validEvents].filter((name) => callbacks[name] === listeners);
+  };
+
+  /**
+   * Resolve an event name or wildcard pattern to its listener map
+   * @param {string} key - Registered event name, or a pattern where `*` matches any characters
+   * @param {boolean} [create=false] - Keep the map of a pattern that has no listeners yet
+   * @returns {Map<string, ListenerEntry>}
+   * @throws {Error} If the event is not registered or the pattern matches no registered event
+   */
+  const listenersFor = (key, create = false) => {
+    if (validEvents.has(key)) {
+      return callbacks[key];
+    }
+
+    if (typeof key !== 'string' || !key.includes('*')) {
+      throw new Error(`Event "${key}" is not registered. Valid events: ${[...validEvents].join(', ')}`);
+    }
+
+    let group = patternCallbacks.get(key);
+    if (!group) {
+      const matcher = new RegExp(`^${key.split('*').map(escapeRegExp).join('.*')}$`);
+      if (![...validEvents].some((name) => matcher.test(name))) {
+        throw new Error(
+          `Event pattern "${key}" does not match any registered event. Valid events: ${[...validEvents].join(', ')}`
+        );
+      }
+      group = { matcher, listeners: new Map() };
+      if (create) {
+        patternCallbacks.set(key, group);
+      }
+    }
+    return group.listeners;
+  };
+
+  /**
+   * Check whether a listener with an ID receives an event, through the event itself, a pattern or `onAny`
+   * @param {T} eventName
+   * @param {string} id
+   * @returns {boolean}
+   */
+  const receivesWithId = (eventName, id) => {
+    if (callbacks[eventName].has(id) || anyListeners.has(id)) return true;
+    for (const { matcher, listeners } of patternCallbacks.values()) {
+      if (listeners.has(id) && matcher.test(eventName)) return true;
+    }
+    return false;
+  };
+
+  /**
+   * Remove listeners from a map, leaving registrations that reused an ID untouched
+   * @param {Map<string, ListenerEntry>} listeners
+   * @param {ListenerEntry[]} entries
+   */
+  const removeListeners = (listeners, entries) => {
+    const removed = entries.filter((entry) => listeners.get(entry.id) === entry);
+    if (removed.length === 0) return;
+
+    // Resolved before empty pattern groups are deleted below
+    const receiving = eventsReceiving(listeners);
+    for (const entry of removed) {
+      listeners.delete(entry.id);
+      constrainedEntries.delete(entry);
+      entry.removed = true;
+      if (entry.release) entry.release();
+      if (entry.limiter) entry.limiter.cancel();
+    }
+
+    // Counters go with their listener, unless another listener with the same ID still receives the event
+    for (const name of receiving) {
+      const counters = stats.get(name);
+      if (!counters) continue;
+      for (const { id } of removed) {
+        if (!receivesWithId(name, id)) counters.listeners.delete(id);
+      }
+    }
+
+    // Pattern groups only exist while they have listeners
+    for (const [pattern, group] of patternCallbacks) {
+      if (group.listeners.size === 0) patternCallbacks.delete(pattern);
+    }
+
+    // Dispatch order may combine several maps, so any removal invalidates every event
+    orderCache.clear();
+  };
+
+  /**
+   * Normalize a before/after option to a list of listener IDs
+   * @param {string | string[] | undefined} value
+   * @param {string} name - Option name, used in error messages
+   * @returns {string[]}
+   */
+  const toIdList = (value, name) => {
+    const ids = value === undefined ? [] : [].concat(value);
+    if (ids.some((id) => typeof id !== 'string')) {
+      throw new TypeError(`${name} must be a listener ID or an array of listener IDs`);
+    }
+    return ids;
+  };
+
+  /**
+   * Register a listener entry, keeping the previous registration if the new ordering constraints conflict
+   * @param {Map<string, ListenerEntry>} listeners - Map of the event, pattern or `onAny` listeners
+   * @param {string} id
+   * @param {Function} callback - Listener as registered
+   * @param {(data: any, event: NexusEvent) => any} invoke - Function called on dispatch
+   * @param {ListenerOptions} options
+   * @param {boolean} once
+   * @param {ScopeOwner | null} [owner] - Scope the listener is added through
+   * @returns {Unsubscribe} Removes this registration (a later registration that reused the ID is left alone)
+   */
+  const addListener = (listeners, id, callback, invoke, options, once, owner = null) => {
+    if (typeof id !== 'string' || id.trim() === '') {
+      throw new TypeError('Listener ID must be a non-empty string');
+    }
+
+    if (typeof callback !== 'function') {
+      throw new TypeError('Callback must be a function');
+    }
+
+    const { priority = 0, before, after, signal } = options;
+    if (typeof priority !== 'number' || !Number.isFinite(priority)) {
+      throw new TypeError('Priority must be a finite number');
+    }
+
+    if (signal !== undefined && !isAbortSignal(signal)) {
+      throw new TypeError('Signal must be an AbortSignal');
+    }
+
+    // Rate-limited calls happen after dispatch, so failures are reported rather than thrown by `emit`
+    const limiter = createRateLimiter(options, (data, event, latest) => {
+      // A `once` listener keeps collecting until its first call, and can be removed with `off` until then
+      if (once) removeListeners(listeners, [entry]);
+      const started = now();
+      try {
+        runWithin(latest.envelope, null, () => invoke(data, event));
+      } catch (error) {
+        recordCall(latest.name, entry, now() - started, true);
+        reportError({ eventName: latest.name, listenerId: id, error, data });
+        return;
+      }
+      recordCall(latest.name, entry, now() - started, false);
+    });
+    const call = limiter ? limiter.invoke : invoke;
+
+    /** @type {ListenerEntry} */
+    const entry = {
+      id,
+      callback,
+      invoke: call,
+      priority,
+      before: toIdList(before, 'before'),
+      after: toIdList(after, 'after'),
+      seq: sequence++,
+      owner,
+      limiter,
+      internal: options[INTERNAL] === true,
+      close: options[CLOSE] || null,
+    };
+
+    if (once && !limiter) {
+      entry.invoke = (data, event) => {
+        removeListeners(listeners, [entry]);
+        return call(data, event);
+      };
+    }
+
+    const unsubscribe = () => removeListeners(listeners, [entry]);
+    if (typeof Symbol.dispose === 'symbol') {
+      unsubscribe[Symbol.dispose] = unsubscribe;
+    }
+
+    // An already aborted signal means the listener is never added
+    if (signal && signal.aborted) {
+      return unsubscribe;
+    }
+
+    const previous = listeners.get(id);
+
+    // Replacing a listener of another scope or of the hub would let that scope's `dispose` remove it
+    if (previous && previous.owner !== owner) {
+      const holder = previous.owner ? `scope "${previous.owner.name}"` : 'the hub';
+      throw new Error(`Listener ID "${id}" is already used by ${holder}`);
+    }
+
+    const receiving = eventsReceiving(listeners);
+    const invalidate = () => {
+      for (const name of receiving) orderCache.delete(name);
+    };
+
+    // Re-registering an ID moves it to the end of its priority group
+    listeners.delete(id);
+    listeners.set(id, entry);
+    invalidate();
+
+    // Check the new constraints against every event the listener can receive
+    const constrained = entry.before.length > 0 || entry.after.length > 0;
+    if (constrained || constrainedEntries.size > 0) {
+      try {
+        for (const name of receiving) {
+          orderedListeners(name);
+        }
+      } catch (error) {
+        listeners.delete(id);
+        if (previous) listeners.set(id, previous);
+        invalidate();
+        throw error;
+      }
+    }
+
+    if (previous) constrainedEntries.delete(previous);
+    if (constrained) constrainedEntries.add(entry);
+
+    if (previous && previous.release) {
+      previous.release();
+    }
+
+    if (previous && previous.limiter) {
+      previous.limiter.cancel();
+    }
+
+    if (signal) {
+      signal.addEventListener('abort', unsubscribe);
+      entry.release = () => signal.removeEventListener('abort', unsubscribe);
+    }
+
+    if (options.replay !== false) {
+      replay(listeners, entry);
+    }
+
+    return unsubscribe;
+  };
+
+  /**
+   * Subscribe to an event or wildcard pattern
+   * @param {string} key
+   * @param {string} id
+   * @param {Function} callback
+   * @param {ListenerOptions} options
+   * @param {boolean} once
+   * @param {ScopeOwner | null} [owner]
+   * @returns {Unsubscribe}
+   */
+  const addSubscription = (key, id, callback, options, once, owner = null) => {
+    const listeners = listenersFor(key, true);
+    try {
+      return addListener(listeners, id, callback, callback, options, once, owner);
+    } finally {
+      if (listeners.size === 0) {
+        patternCallbacks.delete(key);
+      }
+    }
+  };
+
+  /**
+   * Subscribe to every event
+   * @param {string} id
+   * @param {Function} callback
+   * @param {ListenerOptions} options
+   * @param {ScopeOwner | null} [owner]
+   * @returns {Unsubscribe}
+   */
+  const addAnyListener = (id, callback, options, owner = null) => {
+    if (options.batch !== undefined) {
+      throw new TypeError('Batch is not supported for onAny listeners');
+    }
+    return addListener(
+      anyListeners,
+      id,
+      callback,
+      (data, event) => callback(event.name, data, event),
+      options,
+      false,
+      owner
+    );
+  };
+
+  /**
+   * Get the listener maps an operation applies to
+   * @param {string | null} [key] - Event or pattern, null for `onAny` listeners, or undefined for every map
+   * @returns {Map<string, ListenerEntry>[]}
+   */
+  const listenerMaps = (key) => {
+    if (key === null) return [anyListeners];
+    if (key !== undefined) return [listenersFor(key)];
+    return [
+      ...[...validEvents].map((name) => callbacks[name]),
+      ...[...patternCallbacks.values()].map((group) => group.listeners),
+      anyListeners,
+    ];
+  };
+
+  // Responders registered with `handle`, one per event
+  /** @type {Map<string, (data: any) => any>} */
+  const handlers = new Map();
+
+  // Counter for the IDs of the internal listeners behind `waitFor` and `stream`
+  let internalSequence = 0;
+
+  // Middleware installed with `use`, outermost first
+  /** @type {Middleware[]} */
+  const middlewares = [];
+
+  /**
+   * Built-in first stages of the pipeline: payload validation, then debug logging
+   * @type {Middleware[]}
+   */
+  const builtinStages = [
+    (eventName, data, next) => {
+      if (checkPayload(validators[eventName], eventName, data, onValidationError)) {
+        return next();
+      }
+    },
+    (eventName, data, next) => {
+      if (debugAll || (debugFilter && debugFilter.has(eventName))) {
+        logger(eventName, data);
+      }
+      return next();
+    },
+  ];
+
+  /**
+   * Pass an emission through the built-in stages and installed middleware, then dispatch it
+   * @param {T} eventName
+   * @param {any} data
+   * @param {(data: any) => any} dispatch - Final stage, called at most once with the (possibly transformed) payload
+   * @param {boolean} [validated=false] - Skip payload validation, which already ran when the emission was queued
+   * @returns {any} Whatever the first stage returns
+   */
+  const runPipeline = (eventName, data, dispatch, validated = false) => {
+    const stages = (validated ? builtinStages.slice(1) : builtinStages).concat(middlewares);
+    const step = (index, payload) => {
+      if (index === stages.length) {
+        return dispatch(payload);
+      }
+
+      let called = false;
+      return stages[index](eventName, payload, (...args) => {
+        if (called) {
+          throw new Error('next() called multiple times');
+        }
+        called = true;
+        return step(index + 1, args.length > 0 ? args[0] : payload);
+      });
+    };
+    return step(0, data);
+  };
+
+  /**
+   * Call a listener and settle with its result, rejecting if it throws, rejects or exceeds the timeout
+   * @param {T} eventName
+   * @param {string} id
+   * @param {Function} cb
+   * @param {any} data
+   * @param {NexusEvent} event
+   * @param {number} [timeout]
+   * @returns {Promise<any>}
+   */
+  const invokeAsync = (eventName, id, cb, data, event, timeout) => {
+    const result = new Promise((resolve) => resolve(cb(data, event)));
+    if (timeout === undefined) {
+      return result;
+    }
+
+    let timer;
+    const expired = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        reject(
+          new NexusTimeoutError(`Listener "${id}" for event "${eventName}" timed out after ${timeout}ms`, timeout)
+        );
+      }, timeout);
+    });
+    return Promise.race([result, expired]).finally(() => clearTimeout(timer));
+  };
+
+  /**
+   * Report a listener failure to the error handler and error listeners, or to the console if there are none
+   * @param {ListenerErrorReport} report
+   * @param {boolean} [consoleFallback=true] - Log to the console when nobody else receives the report
+   */
+  const reportError = (report, consoleFallback = true) => {
+    if (!errorHandler && errorListeners.size === 0) {
+      if (consoleFallback) {
+        console.error(`Error in listener for event "${report.eventName}":`, report.error);
+      }
+      return;
+    }
+
+    // Reporting must never break the dispatch that is being reported on
+    const receivers = errorHandler ? [errorHandler, ...errorListeners.values()] : [...errorListeners.values()];
+    for (const receiver of receivers) {
+      try {
+        receiver(report);
+      } catch (error) {
+        console.error('[nexus] Error handler failed:', error);
+      }
+    }
+  };
+
+  /**
+   * Check the emit options and create the envelope of an emission
+   * @param {EmitOptions} options
+   * @returns {EventEnvelope | null} The envelope, or null if the hub does not use envelopes
+   */
+  const createEnvelope = (options) => {
+    const { source, cause } = options;
+    if (source !== undefined && typeof source !== 'string') {
+      throw new TypeError('Source must be a string');
+    }
+
+    if (cause !== undefined && (cause === null || typeof cause !== 'object' || typeof cause.id !== 'string')) {
+      throw new TypeError('Cause must be an event envelope');
+    }
+
+    if (!envelope) return null;
+
+    const parent = cause || activeEnvelope;
+    const id = createEventId();
+    return Object.freeze({
+      id,
+      timestamp: Date.now(),
+      source: source === undefined ? null : source,
+      causationId: parent ? parent.id : null,
+      correlationId: parent ? parent.correlationId : id,
+    });
+  };
+
+  /**
+   * Call a listener with the emission it handles as the cause of the emissions it makes
+   * @param {EventEnvelope | null} cause - Envelope of the emission being handled
+   * @param {Span | null} span - Span of the listener call
+   * @param {() => any} fn
+   * @returns {any} Whatever `fn` returns
+   */
+  const runWithin = (cause, span, fn) => {
+    const previous = { envelope: activeEnvelope, span: activeSpan };
+    activeEnvelope = cause;
+    activeSpan = span;
+    listenerDepth++;
+    try {
+      return fn();
+    } finally {
+      activeEnvelope = previous.envelope;
+      activeSpan = previous.span;
+      listenerDepth--;
+    }
+  };
+
+  /**
+   * Start a span if a tracer is set
+   * @param {string} name
+   * @param {Record<string, any>} attributes
+   * @param {Span | null} parent
+   * @returns {Span | null}
+   */
+  const startSpan = (name, attributes, parent) => {
+    if (!tracer) return null;
+    return tracer.startSpan(name, { attributes }, parent ? spanContext(parent) : undefined);
+  };
+
+  /**
+   * Start the span of an emission, as a child of the listener call that emits it
+   * @param {T} eventName
+   * @param {EventEnvelope | null} meta
+   * @returns {Span | null}
+   */
+  const startEmitSpan = (eventName, meta) => {
+    if (!tracer) return null;
+    const attributes = { 'nexus.event': eventName };
+    if (meta) {
+      attributes['nexus.event_id'] = meta.id;
+      attributes['nexus.correlation_id'] = meta.correlationId;
+    }
+    return startSpan(`emit ${eventName}`, attributes, activeSpan);
+  };
+
+  /**
+   * End a span with an error status
+   * @param {Span | null} span
+   * @param {any} error
+   */
+  const failSpan = (span, error) => {
+    if (!span) return;
+    span.recordException(error);
+    span.setStatus({ code: SPAN_STATUS.ERROR, message: error && error.message ? error.message : String(error) });
+    span.end();
+  };
+
+  /**
+   * Get the counters of an event, creating them on first use
+   * @param {string} eventName
+   */
+  const statsFor = (eventName) => {
+    let counters = stats.get(eventName);
+    if (!counters) {
+      counters = { emits: 0, listeners: new Map() };
+      stats.set(eventName, counters);
+    }
+    return counters;
+  };
+
+  /**
+   * Count a finished listener call, and warn through the logger if it took longer than the threshold
+   * @param {T} eventName
+   * @param {ListenerEntry} entry
+   * @param {number} duration - Milliseconds
+   * @param {boolean} failed
+   */
+  const recordCall = (eventName, { id, internal, removed }, duration, failed) => {
+    if (internal) return;
+
+    // A removed listener's counters are gone, e.g. a `once` listener is removed before its call is timed
+    if (!removed) {
+      const { listeners } = statsFor(eventName);
+      let counters = listeners.get(id);
+      if (!counters) {
+        counters = { calls: 0, errors: 0, totalTime: 0, avgTime: 0, maxTime: 0 };
+        listeners.set(id, counters);
+      }
+      counters.calls++;
+      counters.totalTime += duration;
+      counters.avgTime = counters.totalTime / counters.calls;
+      counters.maxTime = Math.max(counters.maxTime, duration);
+      if (failed) counters.errors++;
+    }
+
+    if (slowThreshold !== null && duration > slowThreshold) {
+      /** @type {SlowListenerWarning} */
+      const warning = {
+        message: `Listener "${id}" for event "${eventName}" took ${duration.toFixed(1)}ms (threshold ${slowThreshold}ms)`,
+        listenerId: id,
+        duration,
+        threshold: slowThreshold,
+      };
+      logger(eventName, warning, 'warn');
+    }
+  };
+
+  /**
+   * Tell recorders about an emission that is being dispatched
+   * @param {T} eventName
+   * @param {any} data
+   * @returns {string[] | null} Array for the IDs of the listeners called, or null if nothing is recording
+   */
+  const recordEmission = (eventName, data) => {
+    if (recorders.size === 0) return null;
+
+    /** @type {DispatchRecord} */
+    const record = { eventName, data, timestamp: Date.now(), nested: listenerDepth > 0, listenerIds: [] };
+    for (const recorder of recorders) {
+      recorder(record);
+    }
+    return record.listenerIds;
+  };
+
+  /**
+   * Keep a dispatched payload if its event is retained
+   * @param {T} eventName
+   * @param {any} data
+   * @param {EventEnvelope | null} meta - Envelope replayed along with the payload
+   */
+  const retainPayload = (eventName, data, meta) => {
+    const store = retained.get(eventName);
+    if (!store) return;
+
+    store.records.push({ data, seq: emissionSequence++, envelope: meta });
+    if (store.records.length > store.limit) {
+      store.records.shift();
+    }
+  };
+
+  /**
+   * Deliver retained payloads to a newly added listener, oldest first. Failures are reported but never thrown,
+   * since the caller is subscribing rather than emitting.
+   * @param {Map<string, ListenerEntry>} listeners - Map the entry was added to
+   * @param {ListenerEntry} entry
+   */
+  const replay = (listeners, entry) => {
+    const records = [];
+    for (const [eventName, store] of retained) {
+      if (store.records.length > 0 && orderedListeners(eventName).includes(entry)) {
+        records.push(...store.records.map((record) => ({ eventName, ...record })));
+      }
+    }
+    records.sort((a, b) => a.seq - b.seq);
+
+    for (const { eventName, data, envelope: meta } of records) {
+      // A `once` listener removes itself after the first payload
+      if (listeners.get(entry.id) !== entry) break;
+
+      const event = createEvent(eventName, meta);
+      event.replayed = true;
+      const started = now();
+      try {
+        runWithin(meta, null, () => entry.invoke(data, event));
+      } catch (error) {
+        if (!entry.limiter) recordCall(eventName, entry, now() - started, true);
+        reportError({ eventName, listenerId: entry.id, error, data });
+        continue;
+      }
+      if (!entry.limiter) recordCall(eventName, entry, now() - started, false);
+    }
+  };
+
+  /**
+   * Emit the events derived from an emission, as if a listener of the source emitted them
+   * @param {T} eventName - Source event
+   * @param {any} data
+   * @param {NexusEvent} event
+   * @param {Emission} emission
+   */
+  const deriveFrom = (eventName, data, event, emission) => {
+    const steps = derivations.get(eventName);
+    // A scoped emission stays within its scope
+    if (!steps || emission.include) return;
+
+    for (const { name, step } of [...steps]) {
+      let value;
+      try {
+        value = step(data, event);
+      } catch (error) {
+        reportError({ eventName, listenerId: `derive:${name}`, error, data });
+        continue;
+      }
+      if (value !== SKIP) {
+        runWithin(emission.envelope || null, emission.span || null, () => emitEvent(name, value, {}));
+      }
+    }
+  };
+
+  /**
+   * Call the listeners of an event synchronously
+   * @param {T} eventName
+   * @param {any} data
+   * @param {Emission} [emission]
+   * @returns {boolean} True if there were listeners and none canceled the emission
+   * @throws {NexusListenerError | AggregateError} Under the 'fail-fast' and 'throw-after' error policies
+   */
+  const dispatch = (eventName, data, emission = {}) => {
+    const { include = null, envelope: meta = null, span = null, origin = null } = emission;
+    // A scoped emission is not retained, since replays would reach listeners outside the scope
+    if (!include) retainPayload(eventName, data, meta);
+    const listeners = include ? orderedListeners(eventName).filter(include) : orderedListeners(eventName);
+    statsFor(eventName).emits++;
+    const called = recordEmission(eventName, data);
+
+    if (span) span.setAttribute('nexus.listener_count', listeners.length);
+
+    // Execute callbacks in a try-catch to prevent one error from breaking all
+    const event = createEvent(eventName, meta, origin);
+    let errors = [];
+    for (const entry of listeners) {
+      if (event.propagationStopped) {
+        break;
+      }
+      const listenerSpan = startSpan(
+        `listener ${entry.id}`,
+        { 'nexus.event': eventName, 'nexus.listener': entry.id },
+        span
+      );
+      if (called && !entry.internal) called.push(entry.id);
+      const started = now();
+      try {
+        runWithin(meta, listenerSpan, () => entry.invoke(data, event));
+      } catch (error) {
+        if (!entry.limiter) recordCall(eventName, entry, now() - started, true);
+        failSpan(listenerSpan, error);
+        errors.push(new NexusListenerError(eventName, entry.id, error));
+        // Under 'fail-fast' and 'throw-after', `emit` throws the failure, so there is no console fallback
+        reportError({ eventName, listenerId: entry.id, error, data }, errorPolicy === 'isolate');
+        if (errorPolicy === 'fail-fast') {
+          break;
+        }
+        continue;
+      }
+      // Rate-limited listeners are timed when they actually run
+      if (!entry.limiter) recordCall(eventName, entry, now() - started, false);
+      if (listenerSpan) listenerSpan.end();
+    }
+
+    deriveFrom(eventName, data, event, emission);
+
+    // If there were errors and we're in debug mode, report them
+    if (errors.length > 0 && (debugAll || (debugFilter && debugFilter.has(eventName)))) {
+      console.error(`[nexus] ${errors.length} error(s) occurred while emitting "${eventName}"`);
+    }
+
+    if (errors.length > 0 && errorPolicy === 'fail-fast') {
+      throw errors[0];
+    }
+
+    if (errors.length > 0 && errorPolicy === 'throw-after') {
+      throw new AggregateError(errors, `${errors.length} listener(s) failed while emitting "${eventName}"`);
+    }
+
+    return listeners.length > 0 && !event.defaultPrevented;
+  };
+
+  /**
+   * Call the listeners of an event and await their results
+   * @param {T} eventName
+   * @param {any} data
+   * @param {'serial' | 'parallel'} mode
+   * @param {number} [timeout]
+   * @param {Emission} [emission]
+   * @returns {Promise<Record<string, any>>}
+   */
+  const dispatchAsync = async (eventName, data, mode, timeout, emission = {}) => {
+    const { include = null, envelope: meta = null, span = null } = emission;
+    if (!include) retainPayload(eventName, data, meta);
+    const entries = include ? orderedListeners(eventName).filter(include) : orderedListeners(eventName);
+    const event = createEvent(eventName, meta);
+    statsFor(eventName).emits++;
+    const called = recordEmission(eventName, data);
+    if (span) span.setAttribute('nexus.listener_count', entries.length);
+
+    // Failures resolve to a NexusListenerError so results and errors keep listener order.
+    // Only emissions made before a listener's first `await` are linked to this one automatically.
+    const settle = (entry) => {
+      const { id, invoke, limiter } = entry;
+      const listenerSpan = startSpan(`listener ${id}`, { 'nexus.event': eventName, 'nexus.listener': id }, span);
+      if (called && !entry.internal) called.push(id);
+      const started = now();
+      return runWithin(meta, listenerSpan, () => invokeAsync(eventName, id, invoke, data, event, timeout)).then(
+        (value) => {
+          if (!limiter) recordCall(eventName, entry, now() - started, false);
+          if (listenerSpan) listenerSpan.end();
+          return { id, value, internal: entry.internal };
+        },
+        (error) => {
+          if (!limiter) recordCall(eventName, entry, now() - started, true);
+          failSpan(listenerSpan, error);
+          // The rejection of emitAsync surfaces the failure, so there is no console fallback
+          reportError({ eventName, listenerId: id, error, data }, false);
+          return new NexusListenerError(eventName, id, error);
+        }
+      );
+    };
+
+    let outcomes;
+    if (mode === 'serial') {
+      outcomes = [];
+      for (const entry of entries) {
+        if (event.propagationStopped) {
+          break;
+        }
+        outcomes.push(await settle(entry));
+      }
+    } else {
+      outcomes = await Promise.all(entries.map(settle));
+    }
+
+    deriveFrom(eventName, data, event, emission);
+
+    const results = {};
+    const errors = [];
+    for (const outcome of outcomes) {
+      if (outcome instanceof NexusListenerError) {
+        errors.push(outcome);
+      } else if (!outcome.internal) {
+        results[outcome.id] = outcome.value;
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new AggregateError(errors, `${errors.length} listener(s) failed while emitting "${eventName}"`);
+    }
+
+    return results;
+  };
+
+  /**
+   * Deliver queued emissions in order, including those queued while draining
+   * @param {'microtask' | 'macrotask'} [mode] - Only deliver emissions queued for this mode; all if omitted
+   * @returns {Array<{ eventName: string, error: any }>} Errors thrown by emissions, which never stop the drain
+   */
+  const drainQueue = (mode) => {
+    const failures = [];
+    let index = 0;
+    while (index < queue.length) {
+      if (mode !== undefined && queue[index].mode !== mode) {
+        index++;
+        continue;
+      }
+      const [job] = queue.splice(index, 1);
+      try {
+        job.run();
+      } catch (error) {
+        failures.push({ eventName: job.eventName, error });
+      }
+    }
+    return failures;
+  };
+
+  /**
+   * Queue an emission and make sure a drain is scheduled for its mode
+   * @param {'microtask' | 'macrotask'} mode
+   * @param {string} eventName
+   * @param {() => void} run
+   */
+  const enqueue = (mode, eventName, run) => {
+    queue.push({ mode, eventName, run });
+    if (drainScheduled[mode]) return;
+
+    drainScheduled[mode] = true;
+    schedule(mode, () => {
+      drainScheduled[mode] = false;
+      // Nobody called `emit` at this point, so failures can only be logged
+      for (const { eventName: failedEvent, error } of drainQueue(mode)) {
+        console.error(`Error in deferred emission of event "${failedEvent}":`, error);
+      }
+    });
+  };
+
+  /**
+   * Keep the last of the coalesced emissions of each event, in the position it was made
+   * @param {Array<BatchedEmission>} entries
+   * @returns {Array<BatchedEmission>}
+   */
+  const coalesceBatch = (entries) => {
+    // Event names seen so far from the end, per `include`, since scoped emissions reach other listeners
+    const seen = new Map();
+    const kept = [];
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const entry = entries[i];
+      if (entry.coalesce) {
+        const names = seen.get(entry.include) || new Set();
+        if (names.has(entry.eventName)) continue;
+        seen.set(entry.include, names.add(entry.eventName));
+      }
+      kept.push(entry);
+    }
+    return kept.reverse();
+  };
+
+  /**
+   * Run an emission through the pipeline, then call its listeners synchronously
+   * @param {T} eventName
+   * @param {any} data
+   * @param {EmitOptions} options
+   * @param {((entry: ListenerEntry) => boolean) | null} [include] - Only call the listeners it accepts
+   * @returns {boolean} False if the emission was queued or batched
+   */
+  const emitEvent = (eventName, data, options, include = null) => {
+    if (!validEvents.has(eventName)) {
+      throw new Error(`Event "${eventName}" is not registered. Valid events: ${[...validEvents].join(', ')}`);
+    }
+
+    const { dispatch: mode = dispatchMode } = options;
+    assertDispatchMode(mode);
+
+    const emission = { include, envelope: createEnvelope(options), origin: options[ORIGIN] || null };
+    if (mode === 'sync' && !batchBuffer) {
+      return deliverEvent(eventName, data, emission);
+    }
+
+    // Validate now, so an invalid payload still throws from `emit`; middleware runs when it is delivered
+    if (!checkPayload(validators[eventName], eventName, data, onValidationError)) {
+      return false;
+    }
+    emission.validated = true;
+
+    // A listener's emission is delivered in the listener's context, so its span and recording still nest under it
+    const context = listenerDepth > 0 ? { envelope: activeEnvelope, span: activeSpan } : null;
+    const run = () => {
+      const deliver = () => deliverEvent(eventName, data, emission);
+      if (context) {
+        runWithin(context.envelope, context.span, deliver);
+      } else {
+        deliver();
+      }
+    };
+
+    if (batchBuffer) {
+      batchBuffer.push({ mode, eventName, include, coalesce: coalesces(eventName), run });
+    } else {
+      enqueue(mode, eventName, run);
+    }
+    return false;
+  };
+
+  /**
+   * Run an emission through the pipeline, then call its listeners
+   * @param {T} eventName
+   * @param {any} data
+   * @param {Emission} emission - Without a span, which is started here
+   * @returns {boolean}
+   */
+  const deliverEvent = (eventName, data, emission) => {
+    const span = startEmitSpan(eventName, emission.envelope);
+
+    // Stays false if middleware drops the emission or defers it past this call
+    let delivered = false;
+    try {
+      runPipeline(
+        eventName,
+        data,
+        (payload) => (delivered = dispatch(eventName, payload, { ...emission, span })),
+        emission.validated
+      );
+    } catch (error) {
+      failSpan(span, error);
+      throw error;
+    }
+    if (span) span.end();
+    return delivered;
+  };
+
+  /**
+   * Run an emission through the pipeline, then call its listeners and await their results
+   * @param {T} eventName
+   * @param {any} data
+   * @param {EmitOptions & { mode?: 'serial' | 'parallel', timeout?: number }} options
+   * @param {((entry: ListenerEntry) => boolean) | null} [include] - Only call the listeners it accepts
+   * @returns {Promise<Record<string, any>>}
+   */
+  const emitEventAsync = async (eventName, data, options, include = null) => {
+    if (!validEvents.has(eventName)) {
+      throw new Error(`Event "${eventName}" is not registered. Valid events: ${[...validEvents].join(', ')}`);
+    }
+
+    const { mode = 'parallel', timeout } = options;
+    if (mode !== 'serial' && mode !== 'parallel') {
+      throw new TypeError('Mode must be "serial" or "parallel"');
+    }
+
+    if (timeout !== undefined && (typeof timeout !== 'number' || !(timeout > 0))) {
+      throw new TypeError('Timeout must be a positive number');
+    }
+
+    const meta = createEnvelope(options);
+    const span = startEmitSpan(eventName, meta);
+
+    // Async middleware is awaited; if no stage reaches dispatch, the emission was dropped
+    let dispatched = null;
+    try {
+      await runPipeline(
+        eventName,
+        data,
+        (payload) => (dispatched = dispatchAsync(eventName, payload, mode, timeout, { include, envelope: meta, span }))
+      );
+    } catch (error) {
+      failSpan(span, error);
+      throw error;
+    }
+    if (span) span.end();
+    return dispatched ? dispatched : {};
+  };
+
+  /**
+   * Wait for the next emission of an event
+   * @param {T | string} eventName
+   * @param {{ filter?: Function, timeout?: number, signal?: AbortSignal }} options
+   * @param {ScopeOwner | null} [owner] - Scope the wait belongs to; disposing it stops the wait
+   * @returns {Promise<any>}
+   */
+  const waitForEvent = (eventName, options, owner = null) => {
+    const { filter, timeout, signal, replay = false } = options;
+    if (filter !== undefined && typeof filter !== 'function') {
+      throw new TypeError('Filter must be a function');
+    }
+
+    if (timeout !== undefined && (typeof timeout !== 'number' || !(timeout > 0))) {
+      throw new TypeError('Timeout must be a positive number');
+    }
+
+    if (signal !== undefined && !isAbortSignal(signal)) {
+      throw new TypeError('Signal must be an AbortSignal');
+    }
+
+    // Resolve the event up front so unknown events throw synchronously, like `on`
+    listenersFor(eventName);
+
+    const signals = [signal, owner ? owner.signal : undefined].filter(Boolean);
+    return new Promise((resolve, reject) => {
+      const aborted = () => {
+        const source = signals.find((candidate) => candidate.aborted);
+        return new NexusAbortError(`Stopped waiting for event "${eventName}": the signal was aborted`, source.reason);
+      };
+      if (signals.some((candidate) => candidate.aborted)) {
+        reject(aborted());
+        return;
+      }
+
+      let timer;
+      let settled = false;
+      /** @type {Unsubscribe | null} */
+      let unsubscribe = null;
+      const onAbort = () => settle(reject, aborted());
+      const settle = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        if (unsubscribe) unsubscribe();
+        clearTimeout(timer);
+        for (const candidate of signals) candidate.removeEventListener('abort', onAbort);
+        fn(value);
+      };
+
+      unsubscribe = addSubscription(
+        eventName,
+        `nexus:wait-for:${internalSequence++}`,
+        (data, event) => {
+          // A throwing filter rejects the wait rather than counting as a listener failure
+          try {
+            if (filter && !filter(data, event)) return;
+          } catch (error) {
+            settle(reject, error);
+            return;
+          }
+          settle(resolve, data);
+        },
+        { replay, [INTERNAL]: true, [CLOSE]: (error) => settle(reject, error) },
+        false,
+        owner
+      );
+
+      // With `replay`, a retained payload may already have settled the wait while subscribing
+      if (settled) {
+        unsubscribe();
+        return;
+      }
+
+      if (timeout !== undefined) {
+        timer = setTimeout(() => {
+          settle(
+            reject,
+            new NexusTimeoutError(`Timed out after ${timeout}ms waiting for event "${eventName}"`, timeout)
+          );
+        }, timeout);
+      }
+
+      for (const candidate of signals) {
+        candidate.addEventListener('abort', onAbort);
+      }
+    });
+  };
+
+  /**
+   * Stream future emissions of one or more events
+   * @param {T | string | Array<T | string>} eventNames
+   * @param {StreamOptions & { signal?: AbortSignal }} options
+   * @param {ScopeOwner | null} [owner] - Scope the stream belongs to; disposing it ends the stream
+   * @returns {EventStream}
+   */
+  const streamEvents = (eventNames, options, owner = null) => {
+    const multiple = Array.isArray(eventNames);
+    const keys = multiple ? eventNames : [eventNames];
+    if (keys.length === 0) {
+      throw new Error('At least one event name must be provided');
+    }
+
+    const { signal, replay = false, ...streamOptions } = options;
+    if (signal !== undefined && !isAbortSignal(signal)) {
+      throw new TypeError('Signal must be an AbortSignal');
+    }
+
+    // Resolve every key up front so unknown events throw before anything is subscribed
+    for (const key of keys) {
+      listenersFor(key);
+    }
+
+    const signals = [signal, owner ? owner.signal : undefined].filter(Boolean);
+    const id = `nexus:stream:${internalSequence++}`;
+    return createEventStream(
+      keys.join(', '),
+      (push, end) => {
+        // An already aborted signal ends the stream before anything is subscribed
+        if (signals.some((candidate) => candidate.aborted)) {
+          end();
+          return () => {};
+        }
+
+        const toValue = multiple ? (data, event) => ({ eventName: event.name, data }) : (data) => data;
+        const unsubscribes = keys.map((key) =>
+          addSubscription(
+            key,
+            id,
+            (data, event) => push(toValue(data, event)),
+            { replay, [INTERNAL]: true, [CLOSE]: end },
+            false,
+            owner
+          )
+        );
+
+        for (const candidate of signals) {
+          candidate.addEventListener('abort', end);
+        }
+
+        return () => {
+          for (const unsubscribe of unsubscribes) unsubscribe();
+          for (const candidate of signals) candidate.removeEventListener('abort', end);
+        };
+      },
+      streamOptions
+    );
+  };
+
+  /**
+   * Count the listeners of a map, leaving out internal ones
+   * @param {Map<string, ListenerEntry>} listeners
+   * @returns {number}
+   */
+  const countListeners = (listeners) => {
+    let count = 0;
+    for (const entry of listeners.values()) {
+      if (!entry.internal) count++;
+    }
+    return count;
+  };
+
+  /**
+   * Get listener functions in dispatch order
+   * @param {T | string | undefined} eventName
+   * @param {(entry: ListenerEntry) => boolean} [accept] - Only list the entries it accepts
+   * @returns {Function[]}
+   */
+  const collectListeners = (eventName, accept = () => true) => {
+    // The listeners behind `waitFor`, `stream` and bridges are not the caller's
+    const include = (entry) => !entry.internal && accept(entry);
+    if (eventName !== undefined) {
+      const listeners = listenersFor(eventName);
+      if (!validEvents.has(eventName)) {
+        return sortListeners(eventName, [...listeners.values()].filter(include)).map((entry) => entry.callback);
+      }
+      return orderedListeners(eventName)
+        .filter((entry) => listeners.get(entry.id) === entry && include(entry))
+        .map((entry) => entry.callback);
+    } else {
+      // Return all listeners across all events, patterns and onAny
+      const all = [];
+      for (const name of validEvents) {
+        all.push(...callbacks[name].values());
+      }
+      for (const { listeners } of patternCallbacks.values()) {
+        all.push(...listeners.values());
+      }
+      all.push(...anyListeners.values());
+      return all.filter(include).map((entry) => entry.callback);
+    }
+  };
+
+  // What scopes need to add, dispatch to and remove only their own listeners
+  const internals = {
+    addSubscription,
+    addAnyListener,
+    listenerMaps,
+    removeListeners,
+    emit: emitEvent,
+    emitAsync: emitEventAsync,
+    waitFor: waitForEvent,
+    stream: streamEvents,
+    listeners: collectListeners,
+    handlers,
+  };
+
+  const hub = {
+    /**
+     * Subscribe to an event
+     * @param {T | string} eventName - Event to subscribe to, or a pattern such as `user:*`
+     * @param {string} id - Unique identifier for this listener
+     * @param {Function} callback - Function to call with the payload and the event context when event is emitted
+     * @param {ListenerOptions} [options] - Dispatch ordering and abort signal
+     */
+    on(eventName, id, callback, options = {}) {
+      addSubscription(eventName, id, callback, options, false);
+      return hub;
+    },
+
+    /**
+     * Subscribe to an event once
+     * @param {T | string} eventName - Event to subscribe to, or a pattern such as `user:*`
+     * @param {string} id - Unique identifier for this listener
+     * @param {Function} callback - Function to call when event is emitted
+     * @param {ListenerOptions} [options] - Dispatch ordering and abort signal
+     */
+    once(eventName, id, callback, options = {}) {
+      addSubscription(eventName, id, callback, options, true);
+      return hub;
+    },
+
+    /**
+     * Subscribe to an event and get back a function that removes the listener
+     * @param {T | string} eventName - Event to subscribe to, or a pattern such as `user:*`
+     * @param {string} id - Unique identifier for this listener
+     * @param {Function} callback - Function to call with the payload and the event context when event is emitted
+     * @param {ListenerOptions & { once?: boolean }} [options] - Dispatch ordering, abort signal, and whether to
+     *   remove the listener after its first call
+     * @returns {Unsubscribe}
+     */
+    subscribe(eventName, id, callback, options = {}) {
+      const { once = false, ...listenerOptions } = options;
+      return addSubscription(eventName, id, callback, listenerOptions, once);
+    },
+
+    /**
+     * Subscribe to every event
+     * @param {string} id - Unique identifier for this listener
+     * @param {(eventName: T, data: any, event: NexusEvent) => void} callback
+     * @param {ListenerOptions} [options] - Dispatch ordering and abort signal
+     */
+    onAny(id, callback, options = {}) {
+      addAnyListener(id, callback, options);
+      return hub;
+    },
+
+    /**
+     * Unsubscribe from an event. Pending `waitFor` calls, streams and bridges keep listening.
+     * @param {T | string} eventName - Event or pattern to unsubscribe from
+     * @param {string} [id] - Listener ID to remove (if not provided, removes all listeners)
+     */
+    off(eventName, id) {
+      const listeners = listenersFor(eventName);
+      if (id !== undefined && typeof id !== 'string') {
+        throw new TypeError('Listener ID must be a string');
+      }
+
+      // The listeners behind `waitFor`, `stream` and bridges stay, since nothing would settle or end them
+      const entries = id === undefined ? [...listeners.values()] : [listeners.get(id)].filter(Boolean);
+      removeListeners(
+        listeners,
+        entries.filter((entry) => !entry.internal)
+      );
+      return hub;
+    },
 
-  for (const name of eventNames) {
-    if (typeof name !== 'string') {
-      throw new TypeError(`Event name must be a string, got ${typeof name}`);
-    }
-    callbacks[name] = Object.create(null);
-  }
+    /**
+     * Unsubscribe from every event
+     * @param {string} [id] - Listener ID to remove (if not provided, removes all `onAny` listeners)
+     */
+    offAny(id) {
+      if (id !== undefined && typeof id !== 'string') {
+        throw new TypeError('Listener ID must be a string');
+      }
 
-  // Debug configuration
-  let debugAll = false;
-  /** @type {Set<T> | null} */
-  let debugFilter = null;
+      const entries = id === undefined ? [...anyListeners.values()] : [anyListeners.get(id)].filter(Boolean);
+      removeListeners(
+        anyListeners,
+        entries.filter((entry) => !entry.internal)
+      );
+      return hub;
+    },
 
-  /** @type {(eventName: T, data: any) => void} */
-  let logger = (eventName, data) => {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] [nexus:emit] ${eventName}`, data);
-  };
+    /**
+     * Emit an event
+     * @param {T} eventName - Event to emit
+     * @param {any} [data] - Data to pass to listeners
+     * @param {EmitOptions} [options] - Envelope metadata and dispatch mode
+     * @returns {boolean} True if there were listeners and none of them called `event.preventDefault()`; false if
+     *   the emission was queued or batched
+     * @throws {NexusValidationError} If the payload fails the event's validator and no handler is configured
+     */
+    emit(eventName, data, options = {}) {
+      return emitEvent(eventName, data, options);
+    },
 
-  // Track once listeners for proper cleanup
-  const onceWrappers = new WeakMap();
+    /**
+     * Deliver every queued emission now, in order, along with the emissions their listeners queue
+     * @throws {Error | AggregateError} What the emissions threw, after all of them were delivered
+     */
+    flush() {
+      const failures = drainQueue();
+      if (failures.length === 1) {
+        throw failures[0].error;
+      }
+      if (failures.length > 1) {
+        throw new AggregateError(
+          failures.map(({ error }) => error),
+          `${failures.length} deferred emission(s) failed`
+        );
+      }
+      return hub;
+    },
 
-  const hub = {
     /**
-     * Subscribe to an event
-     * @param {T} eventName - Event to subscribe to
-     * @param {string} id - Unique identifier for this listener
-     * @param {Function} callback - Function to call when event is emitted
+     * Hold back the emissions made by a callback and deliver them together once it returns, so listeners never see
+     * the state in between. Payloads are validated as they are emitted, and if the callback throws, its emissions
+     * are dropped. If delivering an emission throws, the emissions after it are dropped. A batch inside a batch is
+     * delivered with the outer one.
+     * @template R
+     * @param {() => R} fn - Synchronous callback making the emissions; `emitAsync` calls are not held back
+     * @param {Object} [options]
+     * @param {boolean | T[]} [options.coalesce=false] - Deliver only the last emission of each event, or of the
+     *   listed events, in the position it was made
+     * @returns {R} What the callback returned
+     * @throws {Error} What the callback threw, including a NexusValidationError of an emission, or what the first
+     *   failing emission threw
      */
-    on(eventName, id, callback) {
-      if (!validEvents.has(eventName)) {
-        throw new Error(`Event "${eventName}" is not registered. Valid events: ${[...validEvents].join(', ')}`);
+    batch(fn, options = {}) {
+      if (typeof fn !== 'function') {
+        throw new TypeError('Batch callback must be a function');
       }
 
-      if (typeof id !== 'string' || id.trim() === '') {
-        throw new TypeError('Listener ID must be a non-empty string');
+      const { coalesce = false } = options;
+      if (typeof coalesce !== 'boolean' && !Array.isArray(coalesce)) {
+        throw new TypeError('Coalesce must be a boolean or an array of event names');
+      }
+      if (Array.isArray(coalesce)) {
+        for (const name of coalesce) {
+          if (!validEvents.has(name)) {
+            throw new Error(`Event "${name}" is not registered. Valid events: ${[...validEvents].join(', ')}`);
+          }
+        }
       }
 
-      if (typeof callback !== 'function') {
-        throw new TypeError('Callback must be a function');
+      const outermost = batchBuffer === null;
+      const buffer = outermost ? [] : batchBuffer;
+      const start = buffer.length;
+      const outerCoalesces = coalesces;
+      batchBuffer = buffer;
+      coalesces = Array.isArray(coalesce) ? (eventName) => coalesce.includes(eventName) : () => coalesce;
+
+      let result;
+      try {
+        result = fn();
+        if (result !== null && typeof result === 'object' && typeof result.then === 'function') {
+          throw new TypeError('Batch callback must be synchronous; emissions after an await would escape the batch');
+        }
+      } catch (error) {
+        buffer.length = start;
+        throw error;
+      } finally {
+        coalesces = outerCoalesces;
+        if (outermost) batchBuffer = null;
+      }
+      if (!outermost) return result;
+
+      // An emission that throws, e.g. a failing listener under `fail-fast` or `throw-after`, drops the rest
+      for (const entry of coalesceBatch(buffer)) {
+        if (entry.mode === 'sync') {
+          entry.run();
+        } else {
+          enqueue(entry.mode, entry.eventName, entry.run);
+        }
       }
+      return result;
+    },
+
+    /**
+     * Emit an event and wait for every listener, including promise-returning ones
+     * @param {T} eventName - Event to emit
+     * @param {any} [data] - Data to pass to listeners
+     * @param {Object} [options]
+     * @param {'serial' | 'parallel'} [options.mode='parallel'] - Await listeners one after another or all at once
+     * @param {number} [options.timeout] - Time limit in milliseconds for each listener
+     * @param {string} [options.source] - Tag identifying the emitter, recorded in the envelope
+     * @param {EventEnvelope} [options.cause] - Envelope of the emission that caused this one
+     * @returns {Promise<Record<string, any>>} Resolved values keyed by listener ID. In serial mode,
+     *   `event.stopPropagation()` skips the remaining listeners.
+     * @throws {AggregateError} Rejects with a NexusListenerError per failing listener
+     */
+    emitAsync(eventName, data, options = {}) {
+      return emitEventAsync(eventName, data, options);
+    },
+
+    /**
+     * Wait for the next emission of an event
+     * @param {T | string} eventName - Event to wait for, or a pattern such as `user:*`
+     * @param {Object} [options]
+     * @param {(data: any, event: NexusEvent) => boolean} [options.filter] - Only settle on emissions it accepts
+     * @param {number} [options.timeout] - Time limit in milliseconds
+     * @param {AbortSignal} [options.signal] - Stop waiting when this signal aborts
+     * @param {boolean} [options.replay=false] - Also settle on a payload retained before the call
+     * @returns {Promise<any>} Resolves with the payload of the first matching emission
+     * @throws {NexusTimeoutError | NexusAbortError} Rejects when the timeout expires or the signal aborts
+     */
+    waitFor(eventName, options = {}) {
+      return waitForEvent(eventName, options);
+    },
+
+    /**
+     * Iterate over future emissions with `for await`. Breaking out of the loop removes the underlying listeners.
+     * @param {T | string | Array<T | string>} eventNames - Event or pattern to stream payloads of, or several of them
+     *   to stream `{ eventName, data }` entries
+     * @param {StreamOptions & { signal?: AbortSignal, replay?: boolean }} [options] - Buffering, a signal that ends
+     *   the stream, and whether the stream starts with retained payloads (default false)
+     * @returns {EventStream}
+     */
+    stream(eventNames, options = {}) {
+      return streamEvents(eventNames, options);
+    },
 
-      callbacks[eventName][id] = callback;
+    /**
+     * Clear listeners, except those behind pending `waitFor` calls, streams and bridges
+     * @param {T | string} [eventName] - Clear specific event or pattern, or all listeners (including
+     *   pattern and `onAny` listeners) if not provided
+     */
+    clear(eventName) {
+      if (eventName !== undefined) {
+        hub.off(eventName);
+      } else {
+        // Clear all events, keeping the listeners behind `waitFor`, `stream` and bridges like `off` does
+        for (const listeners of listenerMaps()) {
+          removeListeners(
+            listeners,
+            [...listeners.values()].filter((entry) => !entry.internal)
+          );
+        }
+      }
       return hub;
     },
 
     /**
-     * Subscribe to an event once
-     * @param {T} eventName - Event to subscribe to
-     * @param {string} id - Unique identifier for this listener
-     * @param {Function} callback - Function to call when event is emitted
+     * Register the single responder for requests of an event. Unlike `on`, an event has at most one handler.
+     * @param {T} eventName - Event to answer requests for
+     * @param {(data: any) => any} handler - Receives the request payload; its (awaited) return value is the response
+     * @throws {Error} If the event already has a handler
      */
-    once(eventName, id, callback) {
+    handle(eventName, handler) {
       if (!validEvents.has(eventName)) {
         throw new Error(`Event "${eventName}" is not registered. Valid events: ${[...validEvents].join(', ')}`);
       }
 
-      if (typeof callback !== 'function') {
-        throw new TypeError('Callback must be a function');
+      if (typeof handler !== 'function') {
+        throw new TypeError('Handler must be a function');
       }
 
-      const wrapper = (data) => {
-        callback(data);
-        hub.off(eventName, id);
-      };
-
-      // Track the wrapper so we can properly clean it up if needed
-      onceWrappers.set(callback, wrapper);
+      if (handlers.has(eventName)) {
+        throw new Error(`A handler for event "${eventName}" is already registered`);
+      }
 
-      return hub.on(eventName, id, wrapper);
+      handlers.set(eventName, handler);
+      return hub;
     },
 
     /**
-     * Unsubscribe from an event
-     * @param {T} eventName - Event to unsubscribe from
-     * @param {string} [id] - Listener ID to remove (if not provided, removes all listeners)
+     * Remove the responder of an event
+     * @param {T} eventName
      */
-    off(eventName, id) {
+    unhandle(eventName) {
       if (!validEvents.has(eventName)) {
         throw new Error(`Event "${eventName}" is not registered. Valid events: ${[...validEvents].join(', ')}`);
       }
 
-      if (id === undefined) {
-        // Clear all listeners for this event
-        callbacks[eventName] = Object.create(null);
-      } else {
-        if (typeof id !== 'string') {
-          throw new TypeError('Listener ID must be a string');
-        }
-        delete callbacks[eventName][id];
-      }
-
+      handlers.delete(eventName);
       return hub;
     },
 
     /**
-     * Emit an event
-     * @param {T} eventName - Event to emit
-     * @param {any} [data] - Data to pass to listeners
-     * @returns {boolean} True if there were listeners
+     * Call the responder of an event. Listeners added with `on` are not involved.
+     * @param {T} eventName - Event to request
+     * @param {any} [data] - Request payload, checked against the event's validator
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - Time limit in milliseconds
+     * @param {AbortSignal} [options.signal] - Stop waiting for the response when this signal aborts
+     * @returns {Promise<any>} Resolves with the handler's (awaited) return value
+     * @throws {Error | NexusValidationError | NexusTimeoutError | NexusAbortError} Rejects when no handler is
+     *   registered, the payload is invalid, the handler fails, the timeout expires or the signal aborts
      */
-    emit(eventName, data) {
+    request(eventName, data, options = {}) {
       if (!validEvents.has(eventName)) {
         throw new Error(`Event "${eventName}" is not registered. Valid events: ${[...validEvents].join(', ')}`);
       }
 
-      const cbs = callbacks[eventName];
-      const listeners = Object.values(cbs);
+      const { timeout, signal } = options;
+      if (timeout !== undefined && (typeof timeout !== 'number' || !(timeout > 0))) {
+        throw new TypeError('Timeout must be a positive number');
+      }
 
-      if (debugAll || (debugFilter && debugFilter.has(eventName))) {
-        logger(eventName, data);
+      if (signal !== undefined && !isAbortSignal(signal)) {
+        throw new TypeError('Signal must be an AbortSignal');
       }
 
-      // Execute callbacks in a try-catch to prevent one error from breaking all
-      let errors = [];
-      listeners.forEach((cb) => {
-        try {
-          cb(data);
-        } catch (error) {
-          errors.push(error);
-          console.error(`Error in listener for event "${eventName}":`, error);
+      return new Promise((resolve, reject) => {
+        const handler = handlers.get(eventName);
+        if (!handler) {
+          reject(new Error(`No handler registered for event "${eventName}"`));
+          return;
+        }
+
+        const aborted = () => new NexusAbortError(`Request for event "${eventName}" was aborted`, signal.reason);
+        if (signal && signal.aborted) {
+          reject(aborted());
+          return;
+        }
+
+        let timer;
+        let settled = false;
+        const onAbort = () => settle(reject, aborted());
+        const settle = (fn, value) => {
+          if (settled) return;
+          settled = true;
+          clearTimeout(timer);
+          if (signal) signal.removeEventListener('abort', onAbort);
+          fn(value);
+        };
+
+        if (timeout !== undefined) {
+          timer = setTimeout(() => {
+            settle(
+              reject,
+              new NexusTimeoutError(`Request for event "${eventName}" timed out after ${timeout}ms`, timeout)
+            );
+          }, timeout);
+        }
+
+        if (signal) {
+          signal.addEventListener('abort', onAbort);
         }
+
+        // The caller awaits the response, so an invalid payload always rejects, even with onValidationError set
+        new Promise((run) => {
+          checkPayload(validators[eventName], eventName, data, null);
+          run(handler(data));
+        }).then(
+          (value) => settle(resolve, value),
+          (error) => settle(reject, error)
+        );
       });
+    },
 
-      // If there were errors and we're in debug mode, report them
-      if (errors.length > 0 && (debugAll || (debugFilter && debugFilter.has(eventName)))) {
-        console.error(`[nexus] ${errors.length} error(s) occurred while emitting "${eventName}"`);
+    /**
+     * Get the latest retained payload of an event
+     * @param {T} eventName - Event declared in `options.retain`
+     * @returns {any} The payload, or undefined if none is retained
+     */
+    getLast(eventName) {
+      if (!validEvents.has(eventName)) {
+        throw new Error(`Event "${eventName}" is not registered. Valid events: ${[...validEvents].join(', ')}`);
       }
 
-      return listeners.length > 0;
+      const store = retained.get(eventName);
+      return store && store.records.length > 0 ? store.records[store.records.length - 1].data : undefined;
     },
 
     /**
-     * Clear listeners
-     * @param {T} [eventName] - Clear specific event or all if not provided
+     * Forget retained payloads, so listeners added afterwards only receive new emissions
+     * @param {T} [eventName] - Reset a specific event, or every retained event if not provided
      */
-    clear(eventName) {
-      if (eventName !== undefined) {
-        if (!validEvents.has(eventName)) {
-          throw new Error(`Event "${eventName}" is not registered. Valid events: ${[...validEvents].join(', ')}`);
-        }
-        callbacks[eventName] = Object.create(null);
-      } else {
-        // Clear all events
-        for (const name of eventNames) {
-          callbacks[name] = Object.create(null);
+    clearRetained(eventName) {
+      if (eventName !== undefined && !validEvents.has(eventName)) {
+        throw new Error(`Event "${eventName}" is not registered. Valid events: ${[...validEvents].join(', ')}`);
+      }
+
+      for (const [name, store] of retained) {
+        if (eventName === undefined || name === eventName) {
+          store.records = [];
         }
       }
       return hub;
     },
 
     /**
-     * Get listener count
-     * @param {T} [eventName] - Get count for specific event or total if not provided
+     * Create a child hub for the same events. Its listeners are listeners of this hub, but `scope.dispose()`
+     * removes all of them at once, along with its handlers, pending `waitFor` calls and streams.
+     * @param {string} name - Label used in error messages
+     * @param {Object} [options]
+     * @param {boolean} [options.bubble=false] - Emit on this hub; by default `scope.emit` only reaches
+     *   listeners added through the scope
+     * @returns {NexusScope}
+     */
+    createScope(name, options = {}) {
+      return createScope(hub, internals, null, name, options);
+    },
+
+    /**
+     * Record emissions from now on, e.g. to attach the log to a bug report or replay it in a test with
+     * `replayRecording`
+     * @param {Object} [options]
+     * @param {T[]} [options.events] - Only record these events (all events if omitted)
+     * @param {(data: any, eventName: T) => any} [options.serialize] - Convert payloads to JSON-safe values
+     * @returns {Recorder}
+     */
+    createRecorder(options = {}) {
+      return createRecorder(
+        hub,
+        (observer) => {
+          recorders.add(observer);
+          return () => recorders.delete(observer);
+        },
+        options
+      );
+    },
+
+    /**
+     * Get listener count. Pending `waitFor` calls, streams and bridges are not counted.
+     * @param {T | string} [eventName] - Get count for specific event or pattern, or total if not provided
      * @returns {number} Number of listeners
      */
     listenerCount(eventName) {
       if (eventName !== undefined) {
-        if (!validEvents.has(eventName)) {
-          throw new Error(`Event "${eventName}" is not registered. Valid events: ${[...validEvents].join(', ')}`);
-        }
-        return Object.keys(callbacks[eventName]).length;
+        return countListeners(listenersFor(eventName));
       } else {
-        // Return total count across all events
-        return eventNames.reduce((total, name) => {
-          return total + Object.keys(callbacks[name]).length;
-        }, 0);
+        // Return total count across all events, patterns and onAny
+        return listenerMaps().reduce((total, listeners) => total + countListeners(listeners), 0);
       }
     },
 
     /**
-     * Get listeners
-     * @param {T} [eventName] - Get listeners for specific event or all if not provided
+     * Get listeners in dispatch order
+     * @param {T | string} [eventName] - Get listeners registered for a specific event or pattern, or all if not provided
      * @returns {Function[]} Array of listener functions
      */
     listeners(eventName) {
-      if (eventName !== undefined) {
-        if (!validEvents.has(eventName)) {
-          throw new Error(`Event "${eventName}" is not registered. Valid events: ${[...validEvents].join(', ')}`);
-        }
-        return Object.values(callbacks[eventName]);
-      } else {
-        // Return all listeners across all events
-        return eventNames.reduce((all, name) => {
-          return all.concat(Object.values(callbacks[name]));
-        }, []);
-      }
+      return collectListeners(eventName);
     },
 
     /**
@@ -236,7 +2218,122 @@ export function createNexusHub(eventNames) {
      * @returns {T[]} Array of event names
      */
     eventNames() {
-      return [...eventNames];
+      return [...validEvents];
+    },
+
+    /**
+     * Add events at runtime, e.g. for a plugin that is loaded later
+     * @param {string[] | Record<string, any>} names - Event names, or event names mapped to validators
+     * @throws {Error} If an event is already registered
+     */
+    register(names) {
+      const { names: added, schemaMap } = parseEventNames(names);
+      const taken = added.filter((name) => validEvents.has(name));
+      if (taken.length > 0) {
+        throw new Error(`Duplicate event names are not allowed: ${taken.join(', ')}`);
+      }
+
+      defineEvents(added, schemaMap);
+      return hub;
+    },
+
+    /**
+     * Register an event the hub emits in response to other events. With a list of sources and a reducer, the
+     * reducer folds every source emission into a state, which is then emitted; or pass a derivation made with
+     * `map`, `filter`, `merge` or `combineLatest`.
+     * @param {string} name - New event, subscribed to like any other
+     * @param {T[] | Derivation} sources - Source events, or a derivation
+     * @param {(state: any, data: any, event: NexusEvent) => any} [reducer] - Returns the next state
+     * @param {Object} [options]
+     * @param {any} [options.initial] - State before the first source emission
+     * @throws {Error} If the name is taken or a source is not registered
+     */
+    derive(name, sources, reducer, options = {}) {
+      const derivation = Array.isArray(sources) ? reduce(sources, reducer, options.initial) : sources;
+      if (!isDerivation(derivation)) {
+        throw new TypeError('derive expects source events and a reducer, or a derivation such as map(source, fn)');
+      }
+
+      for (const source of derivation.sources) {
+        if (!validEvents.has(source)) {
+          throw new Error(`Event "${source}" is not registered. Valid events: ${[...validEvents].join(', ')}`);
+        }
+      }
+
+      hub.register([name]);
+
+      const step = derivation.create();
+      for (const source of new Set(derivation.sources)) {
+        if (!derivations.has(source)) derivations.set(source, []);
+        derivations.get(source).push({ name, step });
+      }
+      return hub;
+    },
+
+    /**
+     * Remove events, along with their listeners, handler and retained payloads. Pattern and `onAny` listeners
+     * stay, since they may match other events. Pending `waitFor` calls for the events reject and their streams end,
+     * and every derived event computed from one of them stops.
+     * @param {T[]} names - Registered event names
+     */
+    unregister(names) {
+      if (!Array.isArray(names)) {
+        throw new TypeError('Event names must be an array');
+      }
+
+      for (const name of names) {
+        if (!validEvents.has(name)) {
+          throw new Error(`Event "${name}" is not registered. Valid events: ${[...validEvents].join(', ')}`);
+        }
+      }
+
+      // Queued and batched emissions of the events are dropped
+      for (const pending of batchBuffer ? [queue, batchBuffer] : [queue]) {
+        for (let i = pending.length - 1; i >= 0; i--) {
+          if (names.includes(pending[i].eventName)) pending.splice(i, 1);
+        }
+      }
+
+      // A derivation stops as a whole when its derived event or any of its sources is removed, so a reduce or
+      // combineLatest over several sources never runs on with part of them
+      const stopped = new Set();
+      for (const [source, steps] of derivations) {
+        for (const entry of steps) {
+          if (names.includes(source) || names.includes(entry.name)) stopped.add(entry.step);
+        }
+      }
+      for (const [source, steps] of derivations) {
+        const kept = steps.filter((entry) => !stopped.has(entry.step));
+        if (kept.length === 0) {
+          derivations.delete(source);
+        } else {
+          derivations.set(source, kept);
+        }
+      }
+
+      // Internal listeners of the events go too, so their waits reject and their streams end afterwards
+      const closing = [];
+      for (const name of names) {
+        const entries = [...callbacks[name].values()];
+        for (const entry of entries) {
+          if (entry.close) closing.push({ name, close: entry.close });
+        }
+        removeListeners(callbacks[name], entries);
+        delete callbacks[name];
+        delete validators[name];
+        declarations.delete(name);
+        validEvents.delete(name);
+        retained.delete(name);
+        stats.delete(name);
+        handlers.delete(name);
+        if (debugFilter) debugFilter.delete(name);
+      }
+      orderCache.clear();
+
+      for (const { name, close } of closing) {
+        close(new Error(`Event "${name}" was unregistered`));
+      }
+      return hub;
     },
 
     /**
@@ -266,8 +2363,8 @@ export function createNexusHub(eventNames) {
     },
 
     /**
-     * Set a custom logger function
-     * @param {(eventName: T, data: any) => void} fn
+     * Set a custom logger function. Slow listener warnings are logged with a third argument, `'warn'`.
+     * @param {(eventName: T, data: any, level?: 'warn') => void} fn
      */
     setLogger(fn) {
       if (typeof fn !== 'function') {
@@ -276,10 +2373,185 @@ export function createNexusHub(eventNames) {
       logger = fn;
       return hub;
     },
+
+    /**
+     * Record spans for emissions and listener calls. Spans of emissions made by a listener are children of
+     * the span of that listener call.
+     * @param {Tracer | null} nextTracer - Tracer from `createTracer`, an OpenTelemetry tracer, or null to stop
+     * @param {Object} [options]
+     * @param {(span: Span) => any} [options.contextFor] - Turn a parent span into the context argument of
+     *   `startSpan`; for OpenTelemetry, `(span) => trace.setSpan(context.active(), span)`
+     */
+    setTracer(nextTracer, options = {}) {
+      if (nextTracer !== null && (typeof nextTracer !== 'object' || typeof nextTracer.startSpan !== 'function')) {
+        throw new TypeError('Tracer must have a startSpan method, or be null');
+      }
+
+      const { contextFor = (span) => span } = options;
+      if (typeof contextFor !== 'function') {
+        throw new TypeError('contextFor must be a function');
+      }
+
+      tracer = nextTracer;
+      spanContext = contextFor;
+      return hub;
+    },
+
+    /**
+     * Get usage counters for every event: emissions, current listeners, and calls, time and failures per listener
+     * @returns {Record<T, EventStats>}
+     */
+    getStats() {
+      const report = {};
+      for (const name of validEvents) {
+        const counters = stats.get(name);
+        const listeners = {};
+        if (counters) {
+          for (const [id, listenerStats] of counters.listeners) {
+            listeners[id] = { ...listenerStats };
+          }
+        }
+        report[name] = {
+          emits: counters ? counters.emits : 0,
+          listenerCount: countListeners(callbacks[name]),
+          listeners,
+        };
+      }
+      return report;
+    },
+
+    /**
+     * Set all usage counters back to zero
+     */
+    resetStats() {
+      stats.clear();
+      return hub;
+    },
+
+    /**
+     * Log a warning through the logger when a listener call takes longer than a time budget
+     * @param {number | null} threshold - Milliseconds, or null to stop warning
+     */
+    setSlowListenerThreshold(threshold) {
+      assertThreshold(threshold);
+      slowThreshold = threshold;
+      return hub;
+    },
+
+    /**
+     * Add middleware to the emit pipeline. Middleware run in the order they were added, after payload
+     * validation and debug logging, and receive `(eventName, data, next)`: call `next()` to continue,
+     * `next(newData)` to transform the payload, or skip it to drop the emission.
+     * @param {Middleware} middleware
+     */
+    use(middleware) {
+      if (typeof middleware !== 'function') {
+        throw new TypeError('Middleware must be a function');
+      }
+      middlewares.push(middleware);
+      return hub;
+    },
+
+    /**
+     * Remove middleware added with `use`
+     * @param {Middleware} middleware
+     */
+    unuse(middleware) {
+      const index = middlewares.indexOf(middleware);
+      if (index !== -1) {
+        middlewares.splice(index, 1);
+      }
+      return hub;
+    },
+
+    /**
+     * Set the handler that receives listener failures instead of the console
+     * @param {((report: ListenerErrorReport) => void) | null} fn - Handler, or null to remove it
+     */
+    setErrorHandler(fn) {
+      if (fn !== null && typeof fn !== 'function') {
+        throw new TypeError('Error handler must be a function or null');
+      }
+      errorHandler = fn;
+      return hub;
+    },
+
+    /**
+     * Subscribe to listener failures on any event
+     * @param {string} id - Unique identifier for this listener
+     * @param {(report: ListenerErrorReport) => void} callback
+     */
+    onError(id, callback) {
+      if (typeof id !== 'string' || id.trim() === '') {
+        throw new TypeError('Listener ID must be a non-empty string');
+      }
+
+      if (typeof callback !== 'function') {
+        throw new TypeError('Callback must be a function');
+      }
+
+      errorListeners.set(id, callback);
+      return hub;
+    },
+
+    /**
+     * Unsubscribe from listener failures
+     * @param {string} [id] - Listener ID to remove (if not provided, removes all error listeners)
+     */
+    offError(id) {
+      if (id === undefined) {
+        errorListeners.clear();
+      } else {
+        if (typeof id !== 'string') {
+          throw new TypeError('Listener ID must be a string');
+        }
+        errorListeners.delete(id);
+      }
+      return hub;
+    },
   };
 
+  vocabularies.set(hub, { declarations, retained });
+
   return hub;
 }
 
+/**
+ * Create a hub with the events of several hubs, e.g. to combine the events of separate packages. Validators and
+ * `retain` settings carry over; listeners, handlers and other settings do not.
+ * @param {...Object} hubs - Hubs created with `createNexusHub`
+ * @returns {ReturnType<typeof createNexusHub>}
+ * @throws {Error} If two hubs declare the same event
+ */
+export function mergeHubs(...hubs) {
+  if (hubs.length === 0) {
+    throw new Error('At least one hub must be provided');
+  }
+
+  const schemaMap = Object.create(null);
+  const retain = {};
+  const duplicates = [];
+  for (const hub of hubs) {
+    const vocabulary = vocabularies.get(hub);
+    if (!vocabulary) {
+      throw new TypeError('mergeHubs expects hubs created with createNexusHub');
+    }
+
+    for (const [name, validator] of vocabulary.declarations) {
+      if (name in schemaMap) duplicates.push(name);
+      schemaMap[name] = validator;
+    }
+    for (const [name, store] of vocabulary.retained) {
+      retain[name] = store.limit;
+    }
+  }
+
+  if (duplicates.length > 0) {
+    throw new Error(`Duplicate event names are not allowed: ${duplicates.join(', ')}`);
+  }
+
+  return createNexusHub(schemaMap, { retain });
+}
+
 // Default export
 export default createNexusHub;
@@ -0,0 +1,16 @@
+/**
+ * @module @vorthain/nexus/internal
+ * @description Keys the library's own modules use to talk to a hub; not part of the public API
+ */
+
+// Emit option and event context property naming the bridge an emission was received through, so that bridge
+// recognizes it when it is delivered and does not send it back
+export const ORIGIN = Symbol('nexus.origin');
+
+// Listener option marking the listeners behind `waitFor`, `stream` and bridges. They get a new ID each time, so
+// they are left out of stats and recordings, and `off` and `clear` leave them alone since nothing would settle them.
+export const INTERNAL = Symbol('nexus.internal');
+
+// Listener option of internal listeners: called with an error when `unregister` removes their event, so waits
+// reject and streams end instead of hanging
+export const CLOSE = Symbol('nexus.close');
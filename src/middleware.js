@@ -0,0 +1,41 @@
+/**
+ * @module @vorthain/nexus/middleware
+ * @description Built-in middleware for the emit pipeline
+ */
+
+/**
+ * Default debug logger: timestamped console output
+ * @param {string} eventName
+ * @param {any} data
+ * @param {'warn'} [level] - Set for warnings, e.g. about slow listeners
+ */
+export function defaultLogger(eventName, data, level) {
+  const timestamp = new Date().toISOString();
+  if (level === 'warn') {
+    console.warn(`[${timestamp}] [nexus:warn] ${data.message}`);
+    return;
+  }
+  console.log(`[${timestamp}] [nexus:emit] ${eventName}`, data);
+}
+
+/**
+ * Create middleware that logs emissions, the middleware form of `setDebug`/`setLogger`
+ * @param {Object} [options]
+ * @param {(eventName: string, data: any) => void} [options.logger] - Defaults to timestamped console output
+ * @param {string[]} [options.events] - Only log these events (all events if omitted)
+ * @returns {(eventName: string, data: any, next: Function) => any}
+ */
+export function createLoggingMiddleware(options = {}) {
+  const { logger = defaultLogger, events } = options;
+  if (typeof logger !== 'function') {
+    throw new TypeError('Logger must be a function');
+  }
+
+  const filter = events === undefined ? null : new Set(events);
+  return (eventName, data, next) => {
+    if (!filter || filter.has(eventName)) {
+      logger(eventName, data);
+    }
+    return next();
+  };
+}
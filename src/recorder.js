@@ -0,0 +1,267 @@
+/**
+ * @module @vorthain/nexus/recorder
+ * @description Records the emissions of a hub into a serializable log and replays them into another hub
+ */
+
+import { NexusAbortError } from './errors.js';
+
+// Format of recordings, stored with each one so later formats can tell them apart
+const RECORDING_VERSION = 1;
+
+/**
+ * Emission as the hub reports it to recorders. `listenerIds` is filled in while the listeners are called.
+ * @typedef {Object} DispatchRecord
+ * @property {string} eventName
+ * @property {any} data
+ * @property {number} timestamp - Milliseconds since the epoch
+ * @property {boolean} nested - Whether a listener made the emission while handling another one
+ * @property {string[]} listenerIds
+ */
+
+/**
+ * @typedef {Object} RecordedEmission
+ * @property {string} eventName
+ * @property {any} data - Payload as emitted, copied through JSON, or as returned by the `serialize` option if there
+ *   is one
+ * @property {number} timestamp - Milliseconds since the epoch
+ * @property {boolean} nested - Whether a listener made the emission while handling another one
+ * @property {string[]} listeners - IDs of the listeners called, in call order
+ */
+
+/**
+ * Serializable log of a session
+ * @typedef {Object} Recording
+ * @property {number} version
+ * @property {number} startTime - When recording started, in milliseconds since the epoch
+ * @property {RecordedEmission[]} entries - In emission order
+ */
+
+/**
+ * @typedef {Object} Recorder
+ * @property {boolean} recording - Whether emissions are still being recorded
+ * @property {() => Recording} stop - Stop recording and return what was recorded
+ * @property {() => Recording} getRecording - Copy of what was recorded so far
+ * @property {() => string} export - The recording as JSON
+ * @property {() => Recorder} clear - Forget what was recorded so far
+ */
+
+/**
+ * Check that a value is a recording, e.g. one read back from JSON
+ * @param {any} value
+ * @throws {TypeError} Naming the first problem found
+ */
+function assertRecording(value) {
+  if (value === null || typeof value !== 'object' || !Array.isArray(value.entries)) {
+    throw new TypeError('Invalid recording: expected an object with an entries array');
+  }
+  if (value.version !== RECORDING_VERSION) {
+    throw new TypeError(`Invalid recording: unsupported version ${value.version}`);
+  }
+  value.entries.forEach((entry, index) => {
+    const valid =
+      entry !== null &&
+      typeof entry === 'object' &&
+      typeof entry.eventName === 'string' &&
+      typeof entry.timestamp === 'number' &&
+      Array.isArray(entry.listeners);
+    if (!valid) {
+      throw new TypeError(`Invalid recording: entry ${index} needs an eventName, a timestamp and a listeners array`);
+    }
+  });
+}
+
+/**
+ * Copy a payload the way `export` writes it, so changing the payload after it was emitted leaves the recording alone
+ * @param {any} data - JSON-safe value
+ * @returns {any}
+ */
+function snapshot(data) {
+  return data === undefined ? undefined : JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Wait before the next emission of a replay
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new NexusAbortError('Replay was aborted', signal.reason));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new NexusAbortError('Replay was aborted', signal.reason));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Create a recorder for the emissions of a hub. Recording starts right away.
+ * @param {Object} hub
+ * @param {(observer: (record: DispatchRecord) => void) => () => void} observe - Subscribe to dispatched emissions;
+ *   returns a function that unsubscribes
+ * @param {Object} [options]
+ * @param {string[]} [options.events] - Only record these events (all events if omitted)
+ * @param {(data: any, eventName: string) => any} [options.serialize] - Convert a payload to a JSON-safe value,
+ *   e.g. to drop personal data before a log is attached to a bug report. Payloads are copied through JSON either way.
+ * @returns {Recorder}
+ */
+export function createRecorder(hub, observe, options = {}) {
+  const { events, serialize } = options;
+  if (events !== undefined) {
+    if (!Array.isArray(events)) {
+      throw new TypeError('Events must be an array');
+    }
+    const validEvents = hub.eventNames();
+    for (const eventName of events) {
+      if (!validEvents.includes(eventName)) {
+        throw new Error(`Event "${eventName}" is not registered. Valid events: ${validEvents.join(', ')}`);
+      }
+    }
+  }
+
+  if (serialize !== undefined && typeof serialize !== 'function') {
+    throw new TypeError('serialize must be a function');
+  }
+
+  const filter = events === undefined ? null : new Set(events);
+  const startTime = Date.now();
+  /** @type {Array<RecordedEmission>} */
+  let entries = [];
+
+  const stopObserving = observe((record) => {
+    if (filter && !filter.has(record.eventName)) return;
+    entries.push({
+      eventName: record.eventName,
+      data: snapshot(serialize ? serialize(record.data, record.eventName) : record.data),
+      timestamp: record.timestamp,
+      nested: record.nested,
+      // Shared with the hub, which adds listeners as they are called
+      listeners: record.listenerIds,
+    });
+  });
+
+  let recording = true;
+
+  /** @type {Recorder} */
+  const recorder = {
+    get recording() {
+      return recording;
+    },
+
+    stop() {
+      if (recording) {
+        recording = false;
+        stopObserving();
+      }
+      return recorder.getRecording();
+    },
+
+    getRecording() {
+      return {
+        version: RECORDING_VERSION,
+        startTime,
+        entries: entries.map((entry) => ({ ...entry, listeners: [...entry.listeners] })),
+      };
+    },
+
+    export() {
+      return JSON.stringify(recorder.getRecording());
+    },
+
+    clear() {
+      entries = [];
+      return recorder;
+    },
+  };
+
+  return recorder;
+}
+
+/**
+ * Read a recording back from the JSON made by `recorder.export()`
+ * @param {string} json
+ * @returns {Recording}
+ * @throws {TypeError} If the JSON does not hold a recording
+ */
+export function importRecording(json) {
+  if (typeof json !== 'string') {
+    throw new TypeError('Recording must be a JSON string');
+  }
+  const recording = JSON.parse(json);
+  assertRecording(recording);
+  return recording;
+}
+
+/**
+ * Emit the entries of a recording on a hub, spaced out like they were recorded. The first entry is emitted
+ * right away. With `speed: Infinity` every entry is emitted synchronously, before the returned promise is created.
+ * @param {Object} hub - Hub declaring every recorded event, usually a fresh one
+ * @param {Recording} recording
+ * @param {Object} [options]
+ * @param {number} [options.speed=1] - Playback speed; 2 replays twice as fast, Infinity without delays
+ * @param {boolean} [options.skipNested=true] - Leave out emissions that listeners made while handling another
+ *   one, since the listeners of the hub replayed into make them again. Pass false to replay every entry.
+ * @param {(data: any, eventName: string) => any} [options.deserialize] - Restore a payload converted by `serialize`
+ * @param {AbortSignal} [options.signal] - Stop the replay; the promise rejects with a NexusAbortError
+ * @returns {Promise<void>} Resolves once every entry was emitted, or rejects with the first error `emit` throws
+ */
+export function replayRecording(hub, recording, options = {}) {
+  assertRecording(recording);
+
+  const { speed = 1, skipNested = true, deserialize, signal } = options;
+  if (typeof speed !== 'number' || !(speed > 0)) {
+    throw new TypeError('Speed must be a positive number');
+  }
+
+  if (deserialize !== undefined && typeof deserialize !== 'function') {
+    throw new TypeError('deserialize must be a function');
+  }
+
+  const validEvents = hub.eventNames();
+  for (const { eventName } of recording.entries) {
+    if (!validEvents.includes(eventName)) {
+      throw new Error(`Event "${eventName}" is not registered. Valid events: ${validEvents.join(', ')}`);
+    }
+  }
+
+  const entries = skipNested ? recording.entries.filter((entry) => !entry.nested) : recording.entries;
+
+  const emit = ({ eventName, data }) => hub.emit(eventName, deserialize ? deserialize(data, eventName) : data);
+
+  if (speed === Infinity) {
+    if (signal && signal.aborted) {
+      return Promise.reject(new NexusAbortError('Replay was aborted', signal.reason));
+    }
+    try {
+      entries.forEach(emit);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    return Promise.resolve();
+  }
+
+  return (async () => {
+    const began = Date.now();
+    for (const entry of entries) {
+      // Measured from the start, so time spent in listeners does not add up over a long replay
+      const wait = (entry.timestamp - entries[0].timestamp) / speed - (Date.now() - began);
+      if (wait > 0) {
+        await delay(wait, signal);
+      }
+      if (signal && signal.aborted) {
+        throw new NexusAbortError('Replay was aborted', signal.reason);
+      }
+      emit(entry);
+    }
+  })();
+}
@@ -0,0 +1,264 @@
+/**
+ * @module @vorthain/nexus/scope
+ * @description Child hubs that track their listeners so they can all be removed at once
+ */
+
+/**
+ * Token stored on the listeners a scope adds, linking them to the scope and its ancestors
+ * @typedef {Object} ScopeOwner
+ * @property {string} name
+ * @property {ScopeOwner | null} parent - Owner of the enclosing scope, or null for a scope of the hub itself
+ * @property {AbortSignal} signal - Aborts when the scope is disposed
+ */
+
+/**
+ * Hub internals a scope works through. Every function takes an owner or filter that limits it to the scope.
+ * @typedef {Object} ScopeInternals
+ * @property {Function} addSubscription
+ * @property {Function} addAnyListener
+ * @property {(key?: string | null) => Map<string, any>[]} listenerMaps
+ * @property {(listeners: Map<string, any>, entries: any[]) => void} removeListeners
+ * @property {Function} emit
+ * @property {Function} emitAsync
+ * @property {Function} waitFor
+ * @property {Function} stream
+ * @property {Function} listeners
+ * @property {Map<string, Function>} handlers
+ */
+
+/**
+ * Child hub returned by `createScope`. Besides the members below it has the hub's `on`, `once`, `subscribe`,
+ * `onAny`, `off`, `offAny`, `emit`, `emitAsync`, `waitFor`, `stream`, `clear`, `handle`, `unhandle`, `request`,
+ * `getLast`, `listenerCount`, `listeners`, `eventNames` and `createScope`, where removing, counting and listing
+ * only see listeners added through the scope.
+ * @typedef {Object} NexusScope
+ * @property {string} name
+ * @property {boolean} disposed - Whether `dispose` has been called
+ * @property {() => void} dispose - Remove every listener and handler added through the scope and its child scopes,
+ *   reject their pending `waitFor` calls and end their streams
+ */
+
+/**
+ * Check whether a listener was added through a scope or one of its child scopes
+ * @param {ScopeOwner | null} owner - Owner of the listener
+ * @param {ScopeOwner} scope
+ * @returns {boolean}
+ */
+function isWithin(owner, scope) {
+  for (let current = owner; current; current = current.parent) {
+    if (current === scope) return true;
+  }
+  return false;
+}
+
+/**
+ * Create a child hub for the events of a hub. Listeners added through it are regular listeners of the hub, so
+ * they receive every emission of the hub, but the scope keeps track of them and removes them all on `dispose`.
+ * @param {Object} parent - Hub or scope the new scope is created on
+ * @param {ScopeInternals} internals - Internals of the hub at the root
+ * @param {ScopeOwner | null} parentOwner - Owner token of the parent scope, or null if the parent is the hub
+ * @param {string} name - Label used in error messages
+ * @param {Object} [options]
+ * @param {boolean} [options.bubble=false] - Emit through the parent, instead of to the scope's own listeners only
+ * @param {(scope: NexusScope) => void} [onDispose] - Called once the scope is disposed
+ * @returns {NexusScope}
+ */
+export function createScope(parent, internals, parentOwner, name, options = {}, onDispose) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new TypeError('Scope name must be a non-empty string');
+  }
+
+  const { bubble = false } = options;
+  if (typeof bubble !== 'boolean') {
+    throw new TypeError('Bubble must be a boolean');
+  }
+
+  const controller = new AbortController();
+  /** @type {ScopeOwner} */
+  const owner = { name, parent: parentOwner, signal: controller.signal };
+  const include = (entry) => isWithin(entry.owner, owner);
+
+  // Handlers registered through this scope, so disposing leaves handlers registered by others alone
+  /** @type {Map<string, Function>} */
+  const handlers = new Map();
+
+  /** @type {Set<NexusScope>} */
+  const children = new Set();
+
+  let disposed = false;
+
+  const assertActive = () => {
+    if (disposed) {
+      throw new Error(`Scope "${name}" has been disposed`);
+    }
+  };
+
+  /**
+   * Remove the listeners of this scope and its child scopes from some listener maps. The listeners behind the
+   * scope's waits and streams are removed through its signal instead, which also settles them.
+   * @param {string | null} [key] - Event or pattern, null for `onAny` listeners, or undefined for every map
+   * @param {string} [id] - Only remove the listener with this ID
+   */
+  const removeOwned = (key, id) => {
+    for (const listeners of internals.listenerMaps(key)) {
+      const entries = [...listeners.values()].filter(
+        (entry) => include(entry) && !entry.internal && (id === undefined || entry.id === id)
+      );
+      internals.removeListeners(listeners, entries);
+    }
+  };
+
+  const scope = {
+    name,
+
+    get disposed() {
+      return disposed;
+    },
+
+    on(eventName, id, callback, listenerOptions = {}) {
+      assertActive();
+      internals.addSubscription(eventName, id, callback, listenerOptions, false, owner);
+      return scope;
+    },
+
+    once(eventName, id, callback, listenerOptions = {}) {
+      assertActive();
+      internals.addSubscription(eventName, id, callback, listenerOptions, true, owner);
+      return scope;
+    },
+
+    subscribe(eventName, id, callback, listenerOptions = {}) {
+      assertActive();
+      const { once = false, ...rest } = listenerOptions;
+      return internals.addSubscription(eventName, id, callback, rest, once, owner);
+    },
+
+    onAny(id, callback, listenerOptions = {}) {
+      assertActive();
+      internals.addAnyListener(id, callback, listenerOptions, owner);
+      return scope;
+    },
+
+    off(eventName, id) {
+      assertActive();
+      if (id !== undefined && typeof id !== 'string') {
+        throw new TypeError('Listener ID must be a string');
+      }
+      removeOwned(eventName, id);
+      return scope;
+    },
+
+    offAny(id) {
+      assertActive();
+      if (id !== undefined && typeof id !== 'string') {
+        throw new TypeError('Listener ID must be a string');
+      }
+      removeOwned(null, id);
+      return scope;
+    },
+
+    emit(eventName, data, emitOptions = {}) {
+      assertActive();
+      // The scope name is the envelope source unless the caller passes one
+      const tagged = { source: name, ...emitOptions };
+      return bubble ? parent.emit(eventName, data, tagged) : internals.emit(eventName, data, tagged, include);
+    },
+
+    emitAsync(eventName, data, emitOptions = {}) {
+      assertActive();
+      const tagged = { source: name, ...emitOptions };
+      return bubble ? parent.emitAsync(eventName, data, tagged) : internals.emitAsync(eventName, data, tagged, include);
+    },
+
+    waitFor(eventName, waitOptions = {}) {
+      assertActive();
+      return internals.waitFor(eventName, waitOptions, owner);
+    },
+
+    stream(eventNames, streamOptions = {}) {
+      assertActive();
+      return internals.stream(eventNames, streamOptions, owner);
+    },
+
+    clear(eventName) {
+      assertActive();
+      removeOwned(eventName);
+      return scope;
+    },
+
+    handle(eventName, handler) {
+      assertActive();
+      parent.handle(eventName, handler);
+      handlers.set(eventName, handler);
+      return scope;
+    },
+
+    unhandle(eventName) {
+      assertActive();
+      // Only a handler registered through this scope is removed
+      if (handlers.has(eventName)) {
+        if (internals.handlers.get(eventName) === handlers.get(eventName)) {
+          parent.unhandle(eventName);
+        }
+        handlers.delete(eventName);
+      }
+      return scope;
+    },
+
+    request(eventName, data, requestOptions) {
+      assertActive();
+      return parent.request(eventName, data, requestOptions);
+    },
+
+    getLast(eventName) {
+      return parent.getLast(eventName);
+    },
+
+    listenerCount(eventName) {
+      return internals.listeners(eventName, include).length;
+    },
+
+    listeners(eventName) {
+      return internals.listeners(eventName, include);
+    },
+
+    eventNames() {
+      return parent.eventNames();
+    },
+
+    createScope(childName, childOptions = {}) {
+      assertActive();
+      const child = createScope(scope, internals, owner, childName, childOptions, () => children.delete(child));
+      children.add(child);
+      return child;
+    },
+
+    dispose() {
+      if (disposed) return;
+      disposed = true;
+
+      for (const child of [...children]) {
+        child.dispose();
+      }
+
+      // Pending waits reject and streams end through the signal, which also removes their listeners
+      controller.abort(new Error(`Scope "${name}" was disposed`));
+      removeOwned();
+
+      for (const [eventName, handler] of handlers) {
+        if (internals.handlers.get(eventName) === handler) {
+          internals.handlers.delete(eventName);
+        }
+      }
+      handlers.clear();
+
+      if (onDispose) onDispose(scope);
+    },
+  };
+
+  if (typeof Symbol.dispose === 'symbol') {
+    scope[Symbol.dispose] = scope.dispose;
+  }
+
+  return scope;
+}
@@ -0,0 +1,140 @@
+/**
+ * @module @vorthain/nexus/stream
+ * @description Async iteration over emitted events with a bounded buffer
+ */
+
+import { NexusOverflowError } from './errors.js';
+
+const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'error'];
+
+/**
+ * @typedef {Object} StreamOptions
+ * @property {number} [bufferSize=1000] - Most values held while the consumer is busy
+ * @property {'drop-oldest' | 'drop-newest' | 'error'} [overflow='drop-oldest'] - What to do with a value that
+ *   arrives while the buffer is full: discard the oldest buffered value, discard the new value, or fail the stream
+ */
+
+/**
+ * @typedef {Object} EventStream
+ * @property {() => Promise<IteratorResult<any>>} next - Read the next value, waiting for an emission if none is buffered
+ * @property {(value?: any) => Promise<IteratorResult<any>>} return - Stop listening and discard buffered values
+ * @property {() => ReadableStream} toReadableStream - Read the same values through a WHATWG `ReadableStream`
+ */
+
+/**
+ * Create an async iterable that buffers the values it is pushed until a consumer reads them
+ * @param {string} label - Events the stream listens to, used in error messages
+ * @param {(push: (value: any) => void, end: () => void) => () => void} subscribe - Start listening: call `push`
+ *   for every value and `end` to close the stream. Returns a function that stops listening.
+ * @param {StreamOptions} [options]
+ * @returns {EventStream}
+ */
+export function createEventStream(label, subscribe, options = {}) {
+  const { bufferSize = 1000, overflow = 'drop-oldest' } = options;
+
+  if (
+    typeof bufferSize !== 'number' ||
+    !(bufferSize >= 1) ||
+    (bufferSize !== Infinity && !Number.isInteger(bufferSize))
+  ) {
+    throw new TypeError('Buffer size must be a positive integer');
+  }
+
+  if (!OVERFLOW_POLICIES.includes(overflow)) {
+    throw new TypeError(`Overflow policy must be one of: ${OVERFLOW_POLICIES.join(', ')}`);
+  }
+
+  const buffer = [];
+  // Reads waiting for a value; there can only be waiting reads while the buffer is empty
+  /** @type {Array<(result: IteratorResult<any>) => void>} */
+  const pending = [];
+  let closed = false;
+  /** @type {NexusOverflowError | null} */
+  let failure = null;
+  /** @type {(() => void) | null} */
+  let unsubscribe = null;
+
+  const end = () => {
+    if (closed) return;
+    closed = true;
+    if (unsubscribe) unsubscribe();
+    while (pending.length > 0) {
+      pending.shift()({ value: undefined, done: true });
+    }
+  };
+
+  const push = (value) => {
+    if (closed) return;
+
+    if (pending.length > 0) {
+      pending.shift()({ value, done: false });
+      return;
+    }
+
+    if (buffer.length >= bufferSize) {
+      if (overflow === 'drop-newest') return;
+      if (overflow === 'error') {
+        // Values buffered before the overflow are still delivered, then reading fails
+        failure = new NexusOverflowError(
+          `Stream for "${label}" overflowed its buffer of ${bufferSize} value(s)`,
+          bufferSize
+        );
+        end();
+        return;
+      }
+      buffer.shift();
+    }
+    buffer.push(value);
+  };
+
+  unsubscribe = subscribe(push, end);
+  if (closed) {
+    unsubscribe();
+  }
+
+  /** @type {EventStream} */
+  const stream = {
+    next() {
+      if (buffer.length > 0) {
+        return Promise.resolve({ value: buffer.shift(), done: false });
+      }
+
+      if (failure) {
+        const error = failure;
+        failure = null;
+        return Promise.reject(error);
+      }
+
+      if (closed) {
+        return Promise.resolve({ value: undefined, done: true });
+      }
+
+      return new Promise((resolve) => pending.push(resolve));
+    },
+
+    return(value) {
+      buffer.length = 0;
+      failure = null;
+      end();
+      return Promise.resolve({ value, done: true });
+    },
+
+    [Symbol.asyncIterator]() {
+      return stream;
+    },
+
+    toReadableStream() {
+      return new ReadableStream(
+        {
+          pull: (controller) =>
+            stream.next().then(({ value, done }) => (done ? controller.close() : controller.enqueue(value))),
+          cancel: () => stream.return(),
+        },
+        // Values wait in this stream's buffer, so the readable side does not read ahead
+        { highWaterMark: 0 }
+      );
+    },
+  };
+
+  return stream;
+}
@@ -0,0 +1,180 @@
+/**
+ * @module @vorthain/nexus/timing
+ * @description Debounce, throttle and batch listener calls
+ */
+
+/**
+ * @typedef {Object} BatchOptions
+ * @property {number} [size] - Deliver as soon as this many payloads are collected
+ * @property {number} [wait] - Deliver this many milliseconds after the first payload of a batch
+ */
+
+/**
+ * Rate-limited stand-in for a listener's dispatch function
+ * @typedef {Object} RateLimiter
+ * @property {(data: any, event: any) => void} invoke - Called on dispatch instead of the listener
+ * @property {() => void} cancel - Drop pending calls and timers, e.g. when the listener is removed
+ */
+
+/**
+ * Calls the listener. `latest` is the most recent event it covers; for a batch, `data` and `event` are arrays.
+ * @callback Deliver
+ * @param {any} data
+ * @param {any} event
+ * @param {any} latest
+ * @returns {void}
+ */
+
+/**
+ * Check that an option is a positive number of milliseconds
+ * @param {any} value
+ * @param {string} name - Used in the error message
+ */
+function assertDelay(value, name) {
+  if (typeof value !== 'number' || !(value > 0) || value === Infinity) {
+    throw new TypeError(`${name} must be a positive number`);
+  }
+}
+
+/**
+ * Call the listener once emissions stop for `ms` milliseconds, with the latest payload
+ * @param {number} ms
+ * @param {Deliver} deliver
+ * @returns {RateLimiter}
+ */
+function debounce(ms, deliver) {
+  let timer = null;
+  let pending = null;
+
+  return {
+    invoke(data, event) {
+      clearTimeout(timer);
+      pending = { data, event };
+      timer = setTimeout(() => {
+        const { data: latestData, event: latestEvent } = pending;
+        timer = null;
+        pending = null;
+        deliver(latestData, latestEvent, latestEvent);
+      }, ms);
+    },
+    cancel() {
+      clearTimeout(timer);
+      timer = null;
+      pending = null;
+    },
+  };
+}
+
+/**
+ * Call the listener right away, then at most once every `ms` milliseconds with the latest payload
+ * @param {number} ms
+ * @param {Deliver} deliver
+ * @returns {RateLimiter}
+ */
+function throttle(ms, deliver) {
+  let timer = null;
+  let pending = null;
+
+  // End of a window: deliver what came in during it, which opens another window
+  const flush = () => {
+    timer = null;
+    if (pending) {
+      const { data, event } = pending;
+      pending = null;
+      timer = setTimeout(flush, ms);
+      deliver(data, event, event);
+    }
+  };
+
+  return {
+    invoke(data, event) {
+      if (timer === null) {
+        timer = setTimeout(flush, ms);
+        deliver(data, event, event);
+      } else {
+        pending = { data, event };
+      }
+    },
+    cancel() {
+      clearTimeout(timer);
+      timer = null;
+      pending = null;
+    },
+  };
+}
+
+/**
+ * Collect payloads and call the listener with arrays of payloads and events
+ * @param {BatchOptions} options
+ * @param {Deliver} deliver
+ * @returns {RateLimiter}
+ */
+function batch({ size, wait }, deliver) {
+  let timer = null;
+  let items = [];
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    const delivered = items;
+    items = [];
+    deliver(
+      delivered.map((item) => item.data),
+      delivered.map((item) => item.event),
+      delivered[delivered.length - 1].event
+    );
+  };
+
+  return {
+    invoke(data, event) {
+      items.push({ data, event });
+      if (size !== undefined && items.length >= size) {
+        flush();
+      } else if (wait !== undefined && timer === null) {
+        timer = setTimeout(flush, wait);
+      }
+    },
+    cancel() {
+      clearTimeout(timer);
+      timer = null;
+      items = [];
+    },
+  };
+}
+
+/**
+ * Create a rate limiter from the `debounce`, `throttle` or `batch` listener option, if one is set
+ * @param {{ debounce?: number, throttle?: number, batch?: BatchOptions }} options - Listener options
+ * @param {Deliver} deliver
+ * @returns {RateLimiter | null} Null if none of the options is set
+ * @throws {TypeError} If an option is invalid or more than one is set
+ */
+export function createRateLimiter(options, deliver) {
+  const set = ['debounce', 'throttle', 'batch'].filter((name) => options[name] !== undefined);
+  if (set.length === 0) return null;
+  if (set.length > 1) {
+    throw new TypeError('Only one of debounce, throttle and batch can be set');
+  }
+
+  if (options.debounce !== undefined) {
+    assertDelay(options.debounce, 'Debounce');
+    return debounce(options.debounce, deliver);
+  }
+
+  if (options.throttle !== undefined) {
+    assertDelay(options.throttle, 'Throttle');
+    return throttle(options.throttle, deliver);
+  }
+
+  const { size, wait } = options.batch || {};
+  if (options.batch === null || typeof options.batch !== 'object' || (size === undefined && wait === undefined)) {
+    throw new TypeError('Batch must be an object with a size, a wait, or both');
+  }
+  if (size !== undefined && (!Number.isInteger(size) || size < 1)) {
+    throw new TypeError('Batch size must be a positive integer');
+  }
+  if (wait !== undefined) {
+    assertDelay(wait, 'Batch wait');
+  }
+  return batch({ size, wait }, deliver);
+}
@@ -0,0 +1,155 @@
+/**
+ * @module @vorthain/nexus/tracing
+ * @description Spans for emissions and listener calls, in the shape of the OpenTelemetry tracer API
+ */
+
+/**
+ * Span status codes, matching OpenTelemetry's `SpanStatusCode`
+ */
+export const SPAN_STATUS = { UNSET: 0, OK: 1, ERROR: 2 };
+
+/**
+ * The part of an OpenTelemetry span the hub uses
+ * @typedef {Object} Span
+ * @property {(key: string, value: any) => any} setAttribute
+ * @property {(error: any) => void} recordException
+ * @property {(status: { code: number, message?: string }) => any} setStatus
+ * @property {() => void} end
+ */
+
+/**
+ * The part of an OpenTelemetry tracer the hub uses. The third argument of `startSpan` is the parent context.
+ * @typedef {Object} Tracer
+ * @property {(name: string, options?: { attributes?: Record<string, any> }, context?: any) => Span} startSpan
+ */
+
+/**
+ * Finished span as handed to exporters
+ * @typedef {Object} SpanRecord
+ * @property {string} name - `emit <event>` or `listener <id>`
+ * @property {string} traceId - Shared by an emission, its listener calls and the emissions they make
+ * @property {string} spanId
+ * @property {string | null} parentSpanId - Span of the emission or listener call this one happened in
+ * @property {Record<string, any>} attributes - `nexus.event`, `nexus.listener`, `nexus.listener_count`, ...
+ * @property {number} startTime - Milliseconds since the epoch
+ * @property {number} endTime - Milliseconds since the epoch
+ * @property {number} duration - Milliseconds, measured with `performance.now()` where available
+ * @property {{ code: number, message?: string }} status
+ * @property {any} [error] - Error recorded with `recordException`
+ */
+
+/**
+ * Receives finished spans
+ * @typedef {Object} SpanExporter
+ * @property {(spans: SpanRecord[]) => void} export
+ */
+
+/**
+ * Random lowercase hex string, the format of OpenTelemetry trace and span IDs
+ * @param {number} length
+ * @returns {string}
+ */
+function randomHex(length) {
+  let hex = '';
+  while (hex.length < length) {
+    hex += Math.floor(Math.random() * 0x100000000)
+      .toString(16)
+      .padStart(8, '0');
+  }
+  return hex.slice(0, length);
+}
+
+/**
+ * @returns {number} High resolution time in milliseconds, for durations
+ */
+export function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * Create a tracer that hands finished spans to an exporter. It implements the parts of the OpenTelemetry
+ * tracer API the hub uses, so `hub.setTracer` accepts it and a real OpenTelemetry tracer alike.
+ * @param {Object} options
+ * @param {SpanExporter} options.exporter - Receives each span when it ends
+ * @returns {Tracer}
+ */
+export function createTracer(options) {
+  const { exporter } = options || {};
+  if (!exporter || typeof exporter.export !== 'function') {
+    throw new TypeError('Tracer requires an exporter with an export method');
+  }
+
+  // Records of the spans this tracer started, so a span passed back as parent context can be recognized
+  /** @type {WeakMap<Span, SpanRecord>} */
+  const records = new WeakMap();
+
+  return {
+    startSpan(name, spanOptions = {}, context) {
+      const parent = context ? records.get(context) : undefined;
+      const started = now();
+      /** @type {SpanRecord} */
+      const record = {
+        name,
+        traceId: parent ? parent.traceId : randomHex(32),
+        spanId: randomHex(16),
+        parentSpanId: parent ? parent.spanId : null,
+        attributes: { ...spanOptions.attributes },
+        startTime: Date.now(),
+        endTime: 0,
+        duration: 0,
+        status: { code: SPAN_STATUS.UNSET },
+      };
+      let ended = false;
+
+      const span = {
+        setAttribute(key, value) {
+          record.attributes[key] = value;
+          return span;
+        },
+        recordException(error) {
+          record.error = error;
+        },
+        setStatus(status) {
+          record.status = status;
+          return span;
+        },
+        isRecording() {
+          return !ended;
+        },
+        spanContext() {
+          return { traceId: record.traceId, spanId: record.spanId };
+        },
+        end() {
+          if (ended) return;
+          ended = true;
+          record.endTime = Date.now();
+          record.duration = now() - started;
+          exporter.export([record]);
+        },
+      };
+      records.set(span, record);
+      return span;
+    },
+  };
+}
+
+/**
+ * Create an exporter that keeps finished spans in memory, e.g. for tests or a debug panel
+ * @returns {SpanExporter & { getSpans: () => SpanRecord[], reset: () => void }}
+ */
+export function createMemoryExporter() {
+  /** @type {SpanRecord[]} */
+  const spans = [];
+
+  return {
+    export(batch) {
+      spans.push(...batch);
+    },
+    getSpans() {
+      return [...spans];
+    },
+    reset() {
+      spans.length = 0;
+    },
+  };
+}
@@ -0,0 +1,176 @@
+/**
+ * @module @vorthain/nexus/validation
+ * @description Payload validators: plain predicates or a small schema DSL (type, required, enum, shape, items)
+ */
+
+import { NexusValidationError } from './errors.js';
+
+const TYPES = ['any', 'string', 'number', 'boolean', 'object', 'array', 'function', 'null'];
+
+/**
+ * Type name of a value as used by schemas (`null` and arrays are told apart from objects)
+ * @param {any} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check a schema is well formed and expand type-name shorthands (`'string'` → `{ type: 'string' }`)
+ * @param {any} schema
+ * @param {string} path - Location of the schema, used in error messages
+ */
+function normalizeSchema(schema, path) {
+  if (typeof schema === 'string') {
+    schema = { type: schema };
+  }
+
+  if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new TypeError(`Invalid schema at ${path}: expected a schema object or a type name`);
+  }
+
+  const types = schema.type === undefined ? null : [].concat(schema.type);
+  if (types) {
+    for (const type of types) {
+      if (!TYPES.includes(type)) {
+        throw new TypeError(`Invalid schema at ${path}: unknown type "${type}"`);
+      }
+    }
+  }
+
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+    throw new TypeError(`Invalid schema at ${path}: enum must be an array`);
+  }
+
+  let shape = null;
+  if (schema.shape !== undefined) {
+    if (schema.shape === null || typeof schema.shape !== 'object' || Array.isArray(schema.shape)) {
+      throw new TypeError(`Invalid schema at ${path}: shape must be an object`);
+    }
+    shape = Object.entries(schema.shape).map(([key, child]) => [key, normalizeSchema(child, `${path}.${key}`)]);
+  }
+
+  return {
+    types,
+    required: schema.required !== false,
+    enum: schema.enum === undefined ? null : schema.enum,
+    shape,
+    items: schema.items === undefined ? null : normalizeSchema(schema.items, `${path}[]`),
+  };
+}
+
+/**
+ * Validate a value against a normalized schema
+ * @returns {{ path: string, reason: string } | null} The first failure, or null if the value is valid
+ */
+function check(schema, value, path) {
+  if (value === undefined) {
+    return schema.required ? { path, reason: 'is required' } : null;
+  }
+
+  const actual = typeOf(value);
+
+  if (schema.types && !schema.types.includes('any') && !schema.types.includes(actual)) {
+    return { path, reason: `expected ${schema.types.join(' | ')}, got ${actual}` };
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return { path, reason: `expected one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}` };
+  }
+
+  if (schema.shape) {
+    if (actual !== 'object') {
+      return { path, reason: `expected object, got ${actual}` };
+    }
+    for (const [key, child] of schema.shape) {
+      const failure = check(child, value[key], `${path}.${key}`);
+      if (failure) return failure;
+    }
+  }
+
+  if (schema.items) {
+    if (actual !== 'array') {
+      return { path, reason: `expected array, got ${actual}` };
+    }
+    for (let i = 0; i < value.length; i++) {
+      const failure = check(schema.items, value[i], `${path}[${i}]`);
+      if (failure) return failure;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Compile an event validator into a function returning the first failure for a payload
+ * @param {any} spec - Predicate, schema, type name, or null/undefined for no validation
+ * @param {string} eventName - Event the validator belongs to, used in error messages
+ * @returns {((data: any) => { path: string, reason: string } | null) | null}
+ */
+export function compileValidator(spec, eventName) {
+  if (spec === null || spec === undefined) {
+    return null;
+  }
+
+  if (typeof spec === 'function') {
+    return (data) => (spec(data) ? null : { path: '$', reason: 'rejected by validator' });
+  }
+
+  const schema = normalizeSchema(spec, `"${eventName}"`);
+  return (data) => check(schema, data, '$');
+}
+
+/**
+ * Check a payload, throwing or reporting a NexusValidationError if it is invalid
+ * @param {((data: any) => { path: string, reason: string } | null) | undefined} validate - Compiled validator, if any
+ * @param {string} eventName
+ * @param {any} data
+ * @param {((error: NexusValidationError) => void) | null} onValidationError - Receives the error instead of it being thrown
+ * @returns {boolean} False if the payload was rejected
+ */
+export function checkPayload(validate, eventName, data, onValidationError) {
+  if (!validate) {
+    return true;
+  }
+
+  const failure = validate(data);
+  if (!failure) {
+    return true;
+  }
+
+  const error = new NexusValidationError(eventName, failure.path, failure.reason);
+  if (!onValidationError) {
+    throw error;
+  }
+  onValidationError(error);
+  return false;
+}
+
+/**
+ * Create middleware that validates payloads, for validation installed alongside other middleware
+ * @param {Record<string, any>} validators - Event names mapped to predicates, schemas or type names
+ * @param {Object} [options]
+ * @param {(error: NexusValidationError) => void} [options.onValidationError] - Receives invalid emissions instead of throwing
+ * @returns {(eventName: string, data: any, next: Function) => any}
+ */
+export function createValidationMiddleware(validators, options = {}) {
+  if (validators === null || typeof validators !== 'object' || Array.isArray(validators)) {
+    throw new TypeError('Validators must be an object of event names mapped to validators');
+  }
+
+  const compiled = Object.create(null);
+  for (const [name, spec] of Object.entries(validators)) {
+    compiled[name] = compileValidator(spec, name);
+  }
+
+  const { onValidationError = null } = options;
+  return (eventName, data, next) => {
+    // Invalid payloads never reach the rest of the chain
+    if (checkPayload(compiled[eventName], eventName, data, onValidationError)) {
+      return next();
+    }
+  };
+}